@@ -1,5 +1,5 @@
 // 配方 03：读取请求体 + 文件下载
-// 请求体已由框架在进入中间件前自动解析(parseBody)，直接读 ctx.request.body。
+// 请求体按需读取：await ctx.parseBody() 后读 ctx.request.body(或直接 ctx.request.json() / form() / text())。
 //   - application/json           -> 解析为对象
 //   - x-www-form-urlencoded      -> 解析为对象
 //   - 其它                        -> 原始字符串
@@ -14,7 +14,8 @@ import { fileURLToPath } from 'url';
 const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
 const app = new uWebKoa({ rootDir: projectRoot });
 
-app.post('/echo', (ctx) => {
+app.post('/echo', async (ctx) => {
+    await ctx.parseBody();
     ctx.json({ received: ctx.request.body, type: typeof ctx.request.body });
 });
 
@@ -26,8 +26,9 @@ app.ws('/room/:name', {
 });
 
 // HTTP -> WS 推送
-app.post('/push/:name', (ctx) => {
-    ctx.app.publish(`room:${ctx.request.params.name}`, { type: 'push', payload: ctx.request.body });
+app.post('/push/:name', async (ctx) => {
+    const payload = await ctx.request.json();
+    ctx.app.publish(`room:${ctx.request.params.name}`, { type: 'push', payload });
     ctx.json({ ok: true });
 });
 
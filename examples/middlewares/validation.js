@@ -34,6 +34,8 @@ export function validate(schema, source = 'body') {
             let data;
             switch (source) {
                 case 'body':
+                    // 请求体按需读取：尚未解析时先解析
+                    if (ctx.request.body === undefined) await ctx.parseBody();
                     data = ctx.request.body || {};
                     break;
                 case 'query':
@@ -3,7 +3,11 @@
  * 提供中间件支持和更简洁的API
  */
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { Readable } from 'stream';
 import { fileURLToPath } from 'url';
 import { App, SSLApp } from 'uWebSockets.js'
 
@@ -64,108 +68,1523 @@ class ErrorHandler {
   }
 }
 
+// 构造带状态码与错误码的错误(交给 ErrorHandler 统一响应)
+const httpError = (status, message, code) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+};
+
+// 字节数：数字原样返回，'100kb' / '1mb' / '1.5gb' 换算为字节
+const parseSize = (value) => {
+    if (typeof value === 'number') return value;
+    const m = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+    if (!m) throw new Error(`无效的大小: ${value}`);
+    const unit = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }[(m[2] || 'b').toLowerCase()];
+    return Math.floor(parseFloat(m[1]) * unit);
+};
+
+// app.all() 注册的路由所响应的方法(也用于生成 Allow 头)
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
 // 对路径参数做安全 URL 解码
 const decodeParam = (v) => {
     try { return decodeURIComponent(v); } catch { return v; }
 };
 
+// 参数段语法：:name、:name(正则)、:name? (可选)、:name(正则)?
+const PARAM_SEGMENT = /^:([^(?]+)(?:\((.+)\))?(\?)?$/;
+
+/**
+ * 解析路由模式中的一段
+ * @param {string} seg 路径段
+ * @returns {{type: 'static', value: string}
+ *   | {type: 'param', name: string, source: string|null, regex: RegExp|null, optional: boolean}
+ *   | {type: 'wildcard', name: string|null}}
+ */
+const parseSegment = (seg) => {
+    if (seg[0] === '*') return { type: 'wildcard', name: seg.slice(1) || null };
+    if (seg[0] === ':') {
+        const m = PARAM_SEGMENT.exec(seg);
+        if (!m) throw new Error(`无效的路由参数段: ${seg}`);
+        return {
+            type: 'param',
+            name: m[1],
+            source: m[2] || null,
+            regex: m[2] ? new RegExp(`^(?:${m[2]})$`) : null,
+            optional: !!m[3],
+        };
+    }
+    return { type: 'static', value: seg };
+};
+
+// 解析版本号：'2' / '2.1' / 'v2.1.3' -> [2, 1, 3](缺省段补 0)；非法返回 null
+const parseVersion = (str) => {
+    const m = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(String(str).trim());
+    return m ? [+m[1], +(m[2] || 0), +(m[3] || 0)] : null;
+};
+
+const compareVersions = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+// 单个比较项对应的版本区间 [lo, hi)(null 表示无界)：'2.x'、'^2.1'、'~1.2.3'、'>=1.4'、'<3' 等
+const comparatorInterval = (token) => {
+    const m = /^(\^|~|>=|<=|>|<|=)?v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?$/.exec(token);
+    if (!m) throw new Error(`无效的版本范围: ${token}`);
+    const op = m[1] || '=';
+    const parts = [m[2], m[3], m[4]];
+    let n = 0; // 有效(数字)段数，遇到 x / * / 省略即止
+    while (n < 3 && /^\d+$/.test(parts[n] || '')) n++;
+    if (n === 0) return [null, null];
+    const base = [0, 1, 2].map(i => (i < n ? +parts[i] : 0));
+    // 第 k 段进一位、其后清零：bump([1, 2, 0], 2) -> [1, 3, 0]；版本号为整数，完整版本的 > / <= / = 也能写成半开区间
+    const bump = (k) => base.map((x, i) => (i < k - 1 ? x : i === k - 1 ? x + 1 : 0));
+    switch (op) {
+        case '^': return [base, bump(base[0] > 0 || n === 1 ? 1 : base[1] > 0 || n === 2 ? 2 : 3)];
+        case '~': return [base, bump(n === 1 ? 1 : 2)];
+        case '>=': return [base, null];
+        case '<': return [null, base];
+        // 部分版本按整段处理：>2 即 >=3.0.0，<=2 即 <3.0.0
+        case '>': return [bump(n), null];
+        case '<=': return [null, bump(n)];
+        default: return [base, bump(n)];
+    }
+};
+
+// 两个区间的交集；为空时返回 null
+const intersectIntervals = ([lo1, hi1], [lo2, hi2]) => {
+    const lo = lo1 === null ? lo2 : lo2 === null ? lo1 : compareVersions(lo1, lo2) >= 0 ? lo1 : lo2;
+    const hi = hi1 === null ? hi2 : hi2 === null ? hi1 : compareVersions(hi1, hi2) <= 0 ? hi1 : hi2;
+    return lo !== null && hi !== null && compareVersions(lo, hi) >= 0 ? null : [lo, hi];
+};
+
+/**
+ * 解析 semver 范围为区间列表(任一区间满足即可)：支持 '2' / '2.x' / '2.1.x' / '*'、^ 与 ~、比较符，
+ * 空格分隔表示"且"(>=1.2 <3)，|| 表示"或"。
+ * @param {string} range
+ * @returns {Array<[number[]|null, number[]|null]>}
+ */
+const parseVersionRange = (range) => String(range).split('||').map((part) => {
+    return part.trim().split(/\s+/).filter(Boolean).map(comparatorInterval)
+        .reduce((acc, interval) => acc && intersectIntervals(acc, interval), [null, null]);
+}).filter(Boolean);
+
+// 不限版本(未带版本的请求按它挑选最高版本)
+const ANY_VERSION = [[null, null]];
+
+const inInterval = (v, [lo, hi]) => (lo === null || compareVersions(v, lo) >= 0) && (hi === null || compareVersions(v, hi) < 0);
+
+// 编译 semver 范围为判定函数
+const compileVersionRange = (range) => {
+    const intervals = parseVersionRange(range);
+    return (v) => intervals.some(interval => inInterval(v, interval));
+};
+
+// 客户端期望的 API 版本(Accept-Version 可为范围)：Accept-Version 优先，其次 Accept 中的厂商媒体类型(application/vnd.acme.v2+json)
+const requestedVersion = (headers) => {
+    const explicit = headers['accept-version'];
+    if (explicit) return explicit.trim();
+    const m = headers.accept && /vnd\.[^\s,;]*?\.v(\d+(?:\.\d+){0,2})(?:\+|[\s,;]|$)/i.exec(headers.accept);
+    return m ? m[1] : null;
+};
+
+/**
+ * 基于路径分段的基数树(radix/trie)路由。
+ * 匹配复杂度为 O(路径段数)，而不是 O(路由数量)；每个请求只做一次 split('/')。
+ * 优先级：静态段 > :参数 > 通配符 *（与多数成熟框架一致）。
+ * 同一层可以有多个参数子节点(如 :id(\d+) 与 :slug)，按注册顺序依次尝试。
+ */
+class RadixRouter {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.strictRoutes=true] 检测到重复/歧义路由时抛错；false 时只打印警告
+     * @param {boolean} [options.strict=false] 结尾斜杠是否有意义(/users/ 与 /users 视为不同路由)
+     * @param {boolean} [options.caseSensitive=true] 静态段是否区分大小写(参数值始终保留原样)
+     */
+    constructor(options = {}) {
+        this.strictRoutes = options.strictRoutes !== false;
+        this.strict = options.strict === true;
+        this.caseSensitive = options.caseSensitive !== false;
+        this.root = this._newNode();
+    }
+
+    _newNode() {
+        return {
+            statics: new Map(), // 静态子节点: segment -> node
+            params: [],         // 参数子节点 { name, source, regex, node }，按注册顺序尝试
+            wildcard: null,     // * 子节点(匹配剩余全部)
+            wildcardName: null, // 具名通配符 *name 的参数名
+            wildcardPattern: null, // 首个注册该通配符的原始模式(用于冲突提示)
+            handlers: null,     // method(大写) -> Function[]
+            routes: null,       // method(大写) -> 路由信息 { pattern, name, meta, version }(原始模式也用于冲突提示)
+            versions: null,     // method(大写) -> 按版本范围注册的处理器集 [{ range, intervals, satisfies, handlers, route }]
+        };
+    }
+
+    /**
+     * 注册路由
+     * @param {string} method HTTP 方法(不区分大小写)；'*' 表示任意方法
+     * @param {string} pattern 路由模式，支持 :param、:param(正则)、:param?、结尾 /* 与 /*name
+     * @param {Function[]} handlers 处理器数组
+     * @param {Object} [info] 路由信息
+     * @param {string} [info.name] 路由名
+     * @param {Object} [info.meta] 路由元数据
+     * @param {string} [info.version] semver 范围；同一节点同一方法可按不同范围注册多组处理器
+     * @param {number} [info.bodyLimit] 该路由的请求体上限(字节)
+     * @param {boolean} [info.rawBody] 该路由是否保留原始请求体(ctx.request.rawBody)
+     */
+    add(method, pattern, handlers, info = {}) {
+        const m = method.toUpperCase();
+        const version = info.version ? String(info.version) : null;
+        const route = { pattern, name: info.name || null, meta: info.meta || {}, version, bodyLimit: info.bodyLimit ?? null, rawBody: info.rawBody ?? null };
+        const intervals = version && parseVersionRange(version);
+        const satisfies = version && compileVersionRange(version);
+        const variants = this._expand(pattern);
+        // 先检查全部展开形式，都通过后才建立节点：冲突时不会留下注册了一半的路由
+        for (const segments of variants) this._checkConflicts(m, segments, pattern, version);
+        for (const segments of variants) {
+            const node = this._insert(segments, pattern);
+            node.handlers = node.handlers || new Map();
+            node.routes = node.routes || new Map();
+            if (version) {
+                node.versions = node.versions || new Map();
+                if (!node.versions.has(m)) node.versions.set(m, []);
+                node.versions.get(m).push({ range: version, intervals, satisfies, handlers, route });
+                // 只有版本化处理器时，handlers 里占位 null，使该方法仍计入 Allow / 方法匹配
+                if (!node.handlers.has(m)) {
+                    node.handlers.set(m, null);
+                    node.routes.set(m, route);
+                }
+                continue;
+            }
+            node.handlers.set(m, handlers);
+            node.routes.set(m, route);
+        }
+    }
+
+    /**
+     * 删除路由(按注册时的原始模式)，并剪掉因此变空的节点。
+     * 正在处理中的请求已持有原处理器数组，不受影响。
+     * @param {string} method HTTP 方法；'*' 表示 all() 注册的路由
+     * @param {string} pattern 路由模式
+     * @param {string} [version] 注册时的版本范围；省略时删除未版本化的处理器
+     * @returns {boolean} 是否删除了路由
+     */
+    remove(method, pattern, version) {
+        const m = method.toUpperCase();
+        let removed = false;
+        for (const segments of this._expand(pattern)) {
+            const trail = []; // 沿途的 [父节点, 子节点类型, 键]，用于回溯剪枝
+            let node = this.root;
+            for (const seg of segments) {
+                let child;
+                if (seg.type === 'wildcard') {
+                    trail.push([node, 'wildcard']);
+                    child = node.wildcard;
+                } else if (seg.type === 'param') {
+                    const entry = node.params.find(p => p.name === seg.name && p.source === seg.source);
+                    trail.push([node, 'param', entry]);
+                    child = entry && entry.node;
+                } else {
+                    trail.push([node, 'static', seg.value]);
+                    child = node.statics.get(seg.value);
+                }
+                node = child || null;
+                if (!node || seg.type === 'wildcard') break;
+            }
+            if (!node || !node.handlers || !node.handlers.has(m)) continue;
+
+            const list = node.versions && node.versions.get(m);
+            if (version) {
+                const i = list ? list.findIndex(v => v.range === String(version)) : -1;
+                if (i === -1) continue;
+                list.splice(i, 1);
+                if (list.length > 0) { removed = true; continue; }
+                node.versions.delete(m);
+                if (node.versions.size === 0) node.versions = null;
+                if (node.handlers.get(m)) { removed = true; continue; }
+            } else {
+                if (!node.handlers.get(m)) continue;
+                // 还有版本化处理器时保留占位
+                if (list) {
+                    node.handlers.set(m, null);
+                    node.routes.set(m, list[0].route);
+                    removed = true;
+                    continue;
+                }
+            }
+            node.handlers.delete(m);
+            node.routes.delete(m);
+            if (node.handlers.size === 0) {
+                node.handlers = null;
+                node.routes = null;
+            }
+            removed = true;
+            this._prune(node, trail);
+        }
+        return removed;
+    }
+
+    // 自下而上删掉已经没有处理器也没有子节点的节点
+    _prune(node, trail) {
+        for (let i = trail.length - 1; i >= 0; i--) {
+            const child = i === trail.length - 1 ? node : trail[i + 1][0];
+            if (child.handlers || child.statics.size > 0 || child.params.length > 0 || child.wildcard) break;
+            const [parent, kind, key] = trail[i];
+            if (kind === 'static') {
+                parent.statics.delete(key);
+            } else if (kind === 'param') {
+                parent.params.splice(parent.params.indexOf(key), 1);
+            } else {
+                parent.wildcard = null;
+                parent.wildcardName = null;
+                parent.wildcardPattern = null;
+            }
+        }
+    }
+
+    // 冲突处理：strictRoutes 时抛错，让问题在启动阶段暴露；否则仅警告
+    _conflict(message) {
+        if (this.strictRoutes) {
+            const err = new Error(message);
+            err.code = 'ROUTE_CONFLICT';
+            throw err;
+        }
+        console.warn(message);
+    }
+
+    /**
+     * 把模式解析成段数组；每个可选参数展开成"有/无"两种，如 /posts/:page? -> /posts 与 /posts/:page
+     * @private
+     */
+    _expand(pattern) {
+        let variants = [[]];
+        let wildcard = false;
+        for (const raw of pattern.split('/').filter(Boolean)) {
+            const seg = parseSegment(raw);
+            if (seg.type === 'static' && !this.caseSensitive) seg.value = seg.value.toLowerCase();
+            if (seg.type === 'param' && seg.optional) {
+                variants = [...variants, ...variants.map(v => [...v, seg])];
+            } else {
+                variants = variants.map(v => [...v, seg]);
+            }
+            if (seg.type === 'wildcard') { wildcard = true; break; } // 通配符吞掉剩余路径
+        }
+        // strict 模式下结尾斜杠记为一个空的静态段，/users/ 与 /users 落在不同节点
+        if (this.strict && !wildcard && pattern.length > 1 && pattern.endsWith('/')) {
+            variants = variants.map(v => (v.length > 0 ? [...v, { type: 'static', value: '' }] : v));
+        }
+        return variants;
+    }
+
+    // 请求路径分段：与 _expand 对结尾斜杠的处理保持一致
+    _split(path) {
+        const segments = path.split('/').filter(Boolean);
+        if (this.strict && segments.length > 0 && path.endsWith('/')) segments.push('');
+        return segments;
+    }
+
+    /**
+     * 注册前检查冲突(不建立节点)：同方法同模式(及同版本范围)重复、同一位置的通配符名不同、会被已注册路由遮蔽
+     * @private
+     */
+    _checkConflicts(method, segments, pattern, version) {
+        // 沿已有节点精确查找该模式的末端节点(不存在返回 null)
+        let node = this.root;
+        for (const seg of segments) {
+            if (seg.type === 'wildcard') {
+                if (node.wildcard && node.wildcardName !== seg.name) {
+                    this._conflict(`路由歧义: ${pattern} 与已注册的 ${node.wildcardPattern} 在同一位置使用了不同的通配符名`);
+                }
+                node = node.wildcard;
+                break;
+            } else if (seg.type === 'param') {
+                const child = node.params.find(p => p.name === seg.name && p.source === seg.source);
+                node = child ? child.node : null;
+            } else {
+                node = node.statics.get(seg.value) || null;
+            }
+            if (!node) break;
+        }
+        if (version) {
+            const list = node && node.versions && node.versions.get(method);
+            const existing = list && list.find(v => v.range === version);
+            if (existing) {
+                this._conflict(`路由重复: ${method} ${pattern} (version ${version}) 与已注册的 ${method} ${existing.route.pattern} 冲突`);
+            }
+            return;
+        }
+        if (node && node.handlers && node.handlers.get(method)) {
+            this._conflict(`路由重复: ${method} ${pattern} 与已注册的 ${method} ${node.routes.get(method).pattern} 冲突`);
+            return;
+        }
+        this._checkShadowed(segments, method, pattern);
+    }
+
+    /**
+     * 检查新路由是否会被已注册路由完全遮蔽(匹配时先被尝试，且能匹配新路由的所有路径)：
+     * 同一位置先注册的参数无约束或约束相同(仅参数名不同)，其下能走完剩余段且已接受该方法，新路由就永远不会命中。
+     * 末端不同(如 /users/:id 与 /users/:userId/posts)时回溯能同时服务两者，不算冲突；
+     * 先注册带约束、后注册无约束的参数(如 :id(\d+) 与 :slug)也不算。
+     * @private
+     */
+    _checkShadowed(segments, method, pattern) {
+        // 能匹配该段全部取值的参数子节点
+        const covers = (p, seg) => p.source === null || (seg.type === 'param' ? p.source === seg.source : p.regex.test(seg.value));
+        // [节点, 是否为新路由自身的路径]；自身路径上只有排在前面的兄弟节点会先被尝试
+        let states = [[this.root, true]];
+        const rivals = [];
+        for (const seg of segments) {
+            const next = [];
+            for (const [node, own] of states) {
+                // 先被尝试的子树里，通配符能吞掉剩余全部路径
+                if (!own && node.wildcard) rivals.push(node.wildcard);
+                if (seg.type === 'wildcard') {
+                    if (node.wildcard && own) next.push([node.wildcard, true]);
+                } else if (seg.type === 'param') {
+                    const i = node.params.findIndex(p => p.name === seg.name && p.source === seg.source);
+                    node.params.forEach((p, j) => {
+                        if (j === i) next.push([p.node, own]);
+                        else if ((!own || i === -1 || j < i) && covers(p, seg)) next.push([p.node, false]);
+                    });
+                } else {
+                    if (node.statics.has(seg.value)) next.push([node.statics.get(seg.value), own]);
+                    // 自身路径上静态段优先，参数兄弟不会先被尝试
+                    if (!own && seg.value !== '') for (const p of node.params) if (covers(p, seg)) next.push([p.node, false]);
+                }
+            }
+            states = next;
+            if (seg.type === 'wildcard') break;
+        }
+        for (const [node, own] of states) {
+            if (own) continue;
+            rivals.push(node);
+            // 形如 /files/* 也匹配 /files 本身
+            if (node.wildcard) rivals.push(node.wildcard);
+        }
+        for (const node of rivals) {
+            if (!node.handlers) continue;
+            // all() 注册的路由只会被已接受所有方法的路由完全遮蔽
+            const key = method === '*' ? (node.handlers.has('*') ? '*' : null) : this._methodKey(node, method);
+            if (key !== null) {
+                this._conflict(`路由歧义: ${method} ${pattern} 会被已注册的 ${key} ${node.routes.get(key).pattern} 遮蔽`);
+                return;
+            }
+        }
+    }
+
+    // 沿段数组建立(或复用)节点，返回末端节点
+    _insert(segments, pattern) {
+        let node = this.root;
+        for (const seg of segments) {
+            if (seg.type === 'wildcard') {
+                if (!node.wildcard) {
+                    node.wildcard = this._newNode();
+                    node.wildcardName = seg.name;
+                    node.wildcardPattern = pattern;
+                }
+                node = node.wildcard;
+                break;
+            } else if (seg.type === 'param') {
+                let child = node.params.find(p => p.name === seg.name && p.source === seg.source);
+                if (!child) {
+                    child = { name: seg.name, source: seg.source, regex: seg.regex, node: this._newNode(), pattern };
+                    node.params.push(child);
+                }
+                node = child.node;
+            } else {
+                if (!node.statics.has(seg.value)) node.statics.set(seg.value, this._newNode());
+                node = node.statics.get(seg.value);
+            }
+        }
+        return node;
+    }
+
+    /**
+     * 查找匹配的路由
+     * 路径存在但方法不匹配时返回 handlers 为 null 的结果(供 405 / OPTIONS 生成 Allow 头)。
+     * route 为命中处理器注册时的路由信息 { pattern, name, meta, version }。
+     * 该方法注册了版本化处理器时 versioned 为 true；请求的版本无一满足时 handlers 为 null 且 notAcceptable 为 true。
+     * @param {string} method
+     * @param {string} path
+     * @param {string|null} [version] 客户端期望的版本(如 '2'、'2.1.0')
+     * @returns {{handlers: Function[]|null, route: Object|null, params: Object, node: Object, versioned?: boolean, notAcceptable?: boolean}|null}
+     */
+    find(method, path, version = null) {
+        const segments = this._split(path);
+        // 不区分大小写时静态段用小写比较，参数值仍取原始段
+        const keys = this.caseSensitive ? segments : segments.map(seg => seg.toLowerCase());
+        const m = method.toUpperCase();
+        let params = {};
+        let node = this._walk(this.root, segments, keys, 0, params, m);
+        if (node) {
+            const key = this._methodKey(node, m);
+            const versions = node.versions && node.versions.get(key);
+            if (versions) return { ...this._pickVersion(node, key, versions, version), params, node, versioned: true };
+            return { handlers: node.handlers.get(key), route: node.routes.get(key), params, node };
+        }
+
+        // 方法不匹配：只按路径再找一次(仅未命中时才多走一遍，热路径不受影响)
+        params = {};
+        node = this._walk(this.root, segments, keys, 0, params, null);
+        if (node) return { handlers: null, route: null, params, node };
+        return null;
+    }
+
+    /**
+     * 按请求版本挑选处理器集：取第一个范围满足的；请求的是范围时取有交集的最高版本。
+     * 未带版本或版本无一满足时用未版本化的处理器；没有它时，未带版本取上界最高的版本，版本不满足则 406
+     * @private
+     */
+    _pickVersion(node, key, versions, version) {
+        let hit;
+        if (version !== null) {
+            const v = parseVersion(version);
+            hit = v ? versions.find(entry => entry.satisfies(v)) : this._pickVersionRange(versions, version);
+            if (hit) return { handlers: hit.handlers, route: hit.route };
+        }
+        const handlers = node.handlers.get(key);
+        if (handlers) return { handlers, route: node.routes.get(key) };
+        if (version !== null) return { handlers: null, route: null, notAcceptable: true };
+        hit = this._highestVersion(versions, ANY_VERSION) || versions[versions.length - 1]; // 全是空范围时退回最后注册的
+        return { handlers: hit.handlers, route: hit.route };
+    }
+
+    /**
+     * 请求的版本是范围(如 '2.x'、'^2.0.0')：在与之有交集的注册范围中取交集上界最高的(相同时取先注册的)
+     * @private
+     */
+    _pickVersionRange(versions, range) {
+        let wanted;
+        try {
+            wanted = parseVersionRange(range);
+        } catch {
+            return null; // 既不是版本也不是合法范围
+        }
+        return this._highestVersion(versions, wanted);
+    }
+
+    // 与区间集 wanted 有交集的注册范围中，交集上界最高的(相同时取先注册的)
+    _highestVersion(versions, wanted) {
+        let best = null;
+        let bestTop;
+        for (const entry of versions) {
+            for (const a of entry.intervals) {
+                for (const b of wanted) {
+                    const common = intersectIntervals(a, b);
+                    if (!common) continue;
+                    const top = common[1];
+                    const higher = best === null || (bestTop !== null && (top === null || compareVersions(top, bestTop) > 0));
+                    if (higher) {
+                        best = entry;
+                        bestTop = top;
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * 节点上某方法实际使用的处理器键：精确方法 > HEAD 回落到 GET > all() 注册的 '*'
+     * @private
+     */
+    _methodKey(node, method) {
+        const handlers = node.handlers;
+        if (!handlers) return null;
+        if (handlers.has(method)) return method;
+        if (method === 'HEAD' && handlers.has('GET')) return 'GET';
+        if (handlers.has('*')) return '*';
+        return null;
+    }
+
+    /**
+     * 节点允许的方法列表(用于 Allow 响应头)
+     * @param {Object} node find() 返回的 node
+     * @returns {string[]}
+     */
+    allowedMethods(node) {
+        if (!node || !node.handlers) return [];
+        if (node.handlers.has('*')) return HTTP_METHODS.slice();
+        const methods = [...node.handlers.keys()];
+        if (methods.includes('GET') && !methods.includes('HEAD')) methods.push('HEAD');
+        if (!methods.includes('OPTIONS')) methods.push('OPTIONS');
+        return methods;
+    }
+
+    /**
+     * 以树形文本输出整棵路由树，每个节点后列出已注册的方法
+     * @returns {string}
+     */
+    print() {
+        const lines = ['/' + this._methodsLabel(this.root)];
+        const walk = (node, indent) => {
+            const children = [];
+            for (const [seg, child] of node.statics) children.push([seg || '/', child]);
+            for (const p of node.params) children.push([`:${p.name}${p.source ? `(${p.source})` : ''}`, p.node]);
+            if (node.wildcard) children.push([`*${node.wildcardName || ''}`, node.wildcard]);
+            children.forEach(([label, child], idx) => {
+                const last = idx === children.length - 1;
+                lines.push(`${indent}${last ? '└── ' : '├── '}${label}${this._methodsLabel(child)}`);
+                walk(child, indent + (last ? '    ' : '│   '));
+            });
+        };
+        walk(this.root, '');
+        return lines.join('\n');
+    }
+
+    _methodsLabel(node) {
+        return node.handlers ? ` (${[...node.handlers.keys()].join(', ')})` : '';
+    }
+
+    // method 为 null 时只看路径是否存在(任意方法)
+    _accepts(node, method) {
+        if (!node.handlers) return false;
+        return method === null || this._methodKey(node, method) !== null;
+    }
+
+    _walk(node, segments, keys, i, params, method) {
+        if (i === segments.length) {
+            if (this._accepts(node, method)) return node;
+            // 形如 /files/* 也应匹配 /files 本身
+            if (node.wildcard && this._accepts(node.wildcard, method)) {
+                if (node.wildcardName) params[node.wildcardName] = '';
+                return node.wildcard;
+            }
+            return null;
+        }
+        const seg = segments[i];
+
+        // 1) 静态段优先
+        const staticChild = node.statics.get(keys[i]);
+        if (staticChild) {
+            const r = this._walk(staticChild, segments, keys, i + 1, params, method);
+            if (r) return r;
+        }
+        // 2) 参数段：按注册顺序尝试，带约束的先校验正则(strict 模式的结尾空段不算参数值)
+        if (node.params.length > 0 && seg !== '') {
+            const value = decodeParam(seg);
+            for (const p of node.params) {
+                if (p.regex && !p.regex.test(value)) continue;
+                const had = Object.prototype.hasOwnProperty.call(params, p.name);
+                const saved = params[p.name];
+                params[p.name] = value;
+                const r = this._walk(p.node, segments, keys, i + 1, params, method);
+                if (r) return r;
+                // 回溯
+                if (had) params[p.name] = saved; else delete params[p.name];
+            }
+        }
+        // 3) 通配符：匹配剩余全部
+        if (node.wildcard && this._accepts(node.wildcard, method)) {
+            if (node.wildcardName) params[node.wildcardName] = segments.slice(i).map(decodeParam).join('/');
+            return node.wildcard;
+        }
+        return null;
+    }
+}
+
+/**
+ * ws 路由模式转成 uWS 能识别的模式：参数约束去掉(升级时再按完整模式校验)，具名通配符写成 *，
+ * 可选参数展开成有/无两条。如 /ws/:id(\\d+)/:tab? -> ['/ws/:id', '/ws/:id/:tab']
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+const toUwsPatterns = (pattern) => {
+    let variants = [[]];
+    let wildcard = false;
+    for (const raw of pattern.split('/').filter(Boolean)) {
+        const seg = parseSegment(raw);
+        if (seg.type === 'wildcard') {
+            variants = variants.map(v => [...v, '*']);
+            wildcard = true;
+            break;
+        }
+        const part = seg.type === 'param' ? ':' + seg.name : seg.value;
+        if (seg.type === 'param' && seg.optional) variants = [...variants, ...variants.map(v => [...v, part])];
+        else variants = variants.map(v => [...v, part]);
+    }
+    const slash = !wildcard && pattern.length > 1 && pattern.endsWith('/') ? '/' : '';
+    return [...new Set(variants.map(v => (v.length > 0 ? '/' + v.join('/') + slash : '/')))];
+};
+
+// 给子应用生成的 URL 补回挂载前缀：('/admin', '/users/1') -> '/admin/users/1'，('/admin', '/?a=1') -> '/admin?a=1'
+const withMountPath = (base, url) => {
+    if (!base) return url;
+    return url === '/' || url.startsWith('/?') ? base + url.slice(1) : base + url;
+};
+
+// 拼接路由前缀与路由模式：joinPaths('/api', '/') -> '/api'，joinPaths('', 'users') -> '/users'
+const joinPaths = (prefix, pattern) => {
+    const p = (prefix || '').replace(/\/+$/, '');
+    let rest = pattern || '';
+    if (rest && !rest.startsWith('/')) rest = '/' + rest;
+    if (rest === '/') rest = '';
+    return (p + rest) || '/';
+};
+
+// 序列化查询参数：字符串原样使用(去掉开头的 ?)，对象的数组值展开为重复的键
+const stringifyQuery = (query) => {
+    if (!query) return '';
+    if (typeof query === 'string') return query.replace(/^\?/, '');
+    const sp = new URLSearchParams();
+    for (const key of Object.keys(query)) {
+        const value = query[key];
+        if (value === undefined) continue;
+        if (Array.isArray(value)) for (const v of value) sp.append(key, String(v));
+        else sp.append(key, String(value));
+    }
+    return sp.toString();
+};
+
+// 模式里出现的参数名(含具名通配符)，按出现顺序
+const patternParamNames = (pattern) => {
+    const names = [];
+    for (const raw of pattern.split('/').filter(Boolean)) {
+        const seg = parseSegment(raw);
+        if (seg.name) names.push(seg.name);
+    }
+    return names;
+};
+
+// 把 (value, ctx, next) 形式的参数预加载器包装成中间件；可选参数缺省时直接放行
+const paramMiddleware = (name, fn) => (ctx, next) => {
+    const value = ctx.request.params[name];
+    return value === undefined ? next() : fn(value, ctx, next);
+};
+
+// 解析路由注册参数：([name], pattern, [options], ...handlers)
+// name 为 koa-router 风格的路由名；options 为普通对象，如 { host }
+const parseRouteArgs = (args) => {
+    let name;
+    if (typeof args[1] === 'string') name = args.shift();
+    const pattern = args[0];
+    let options = {};
+    let handlers = args.slice(1);
+    if (handlers[0] && typeof handlers[0] === 'object' && !Array.isArray(handlers[0])) {
+        options = { ...handlers.shift() };
+    }
+    if (name !== undefined) options.name = name;
+    return { pattern, handlers, options };
+};
+
+/**
+ * 编译 Host 模式为匹配函数：返回捕获的主机参数对象，不匹配返回 null。
+ * 字符串模式按 '.' 分段：':name' 捕获一段，'*' 匹配任意一段，其余按字面(不区分大小写)；
+ * 也可直接传 RegExp(命名分组作为参数)。
+ * @param {string|RegExp} pattern 如 ':tenant.example.com'
+ * @returns {(hostname: string) => Object|null}
+ */
+// Host 请求头去掉端口后的主机名(IPv6 字面量保留方括号，如 [::1]:3000 -> [::1])
+const hostnameOf = (host) => {
+    if (host[0] === '[') {
+        const end = host.indexOf(']');
+        return end === -1 ? host : host.slice(0, end + 1);
+    }
+    const i = host.indexOf(':');
+    return i === -1 ? host : host.slice(0, i);
+};
+
+const compileHostPattern = (pattern) => {
+    if (pattern instanceof RegExp) {
+        return (hostname) => {
+            const m = pattern.exec(hostname);
+            return m ? { ...(m.groups || {}) } : null;
+        };
+    }
+    const names = [];
+    const source = String(pattern).split('.').map((label) => {
+        if (label === '*') return '[^.]+';
+        if (label[0] === ':') {
+            names.push(label.slice(1));
+            return '([^.]+)';
+        }
+        return label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('\\.');
+    const re = new RegExp(`^${source}$`, 'i');
+    return (hostname) => {
+        const m = re.exec(hostname);
+        if (!m) return null;
+        const params = {};
+        names.forEach((n, i) => { params[n] = m[i + 1]; });
+        return params;
+    };
+};
+
+// 把 app.context 的自有属性浅合并进请求上下文
+const assignContext = (ctx, context) => {
+    if (!context) return;
+    for (const key in context) {
+        if (Object.prototype.hasOwnProperty.call(context, key)) {
+            ctx[key] = context[key];
+        }
+    }
+};
+
+/**
+ * 独立的可挂载路由器(类似 koa-router)。
+ * 自身不做匹配：app.use(router.routes()) 时把全部路由(含嵌套子路由)连同作用域中间件
+ * 展开后登记进 app 的基数树，查找复杂度仍是 O(路径段数)。
+ * 因为在挂载时展开，路由与 use() 中间件需在 app.use(router.routes()) 之前注册完。
+ */
+class Router {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.prefix] 路由前缀，如 '/api'
+     * @param {string|RegExp} [options.host] Host 约束，如 ':tenant.example.com'(子路由器未设时继承)
+     */
+    constructor(options = {}) {
+        this.opts = options;
+        this._prefix = options.prefix || '';
+        this._routes = [];      // 本路由器的路由 { method, pattern, handlers }
+        this._middlewares = []; // 作用域中间件：只作用于本路由器(及其子路由器)的路由
+        this._children = [];    // 嵌套子路由器 { prefix, router }
+        this._params = [];      // 参数预加载器 { name, fn }
+    }
+
+    /**
+     * 设置路由前缀
+     * @param {string} prefix
+     * @returns {Router}
+     */
+    prefix(prefix) {
+        this._prefix = prefix || '';
+        return this;
+    }
+
+    /**
+     * 按任意方法注册路由：register(method, [name], pattern, ...handlers)
+     * @param {string} method HTTP方法；'*' 表示任意方法
+     * @param {...*} args [路由名], 路由模式, 处理函数...
+     * @returns {Router}
+     */
+    register(method, ...args) {
+        const { pattern, handlers, options } = parseRouteArgs(args);
+        this._routes.push({ method: method.toUpperCase(), pattern, handlers, options });
+        return this;
+    }
+
+    get(...args) { return this.register('GET', ...args); }
+    post(...args) { return this.register('POST', ...args); }
+    put(...args) { return this.register('PUT', ...args); }
+    patch(...args) { return this.register('PATCH', ...args); }
+    delete(...args) { return this.register('DELETE', ...args); }
+    head(...args) { return this.register('HEAD', ...args); }
+    options(...args) { return this.register('OPTIONS', ...args); }
+    all(...args) { return this.register('*', ...args); }
+
+    /**
+     * 注册作用域中间件或嵌套子路由器：
+     *   router.use(fn)                 中间件，只在本路由器的路由命中时执行
+     *   router.use(child)              嵌套子路由器(也可传 child.routes())
+     *   router.use('/v1', child, ...)  带前缀嵌套
+     * @returns {Router}
+     */
+    use(...args) {
+        const prefix = typeof args[0] === 'string' ? args.shift() : '';
+        for (const item of args) {
+            const child = item instanceof Router ? item : item && item.router instanceof Router ? item.router : null;
+            if (child) {
+                this._children.push({ prefix, router: child });
+            } else if (typeof item === 'function') {
+                if (prefix) throw new Error('Router.use 的路径前缀只能用于挂载子路由器');
+                this._middlewares.push(item);
+            } else {
+                throw new TypeError('Router.use 只接受中间件函数或 Router');
+            }
+        }
+        return this;
+    }
+
+    /**
+     * 返回可交给 app.use() 的中间件。app.use 识别到它后会把路由展开进 app 的基数树，
+     * 这个函数本身不会进入中间件链。
+     * @returns {Function}
+     */
+    routes() {
+        const mw = (ctx, next) => next();
+        mw.router = this;
+        return mw;
+    }
+
+    /**
+     * 展开为扁平的路由表：前缀逐级拼接，作用域中间件按 父 -> 子 的顺序前置到处理器前。
+     * scope 为 handlers 中前置的作用域中间件与参数预加载器部分(replaceRoute 替换处理器时保留)
+     * @returns {{method: string, pattern: string, handlers: Function[], scope: Function[], options: Object}[]}
+     */
+    flatten() {
+        const out = [];
+        for (const route of this._routes) {
+            const pattern = joinPaths(this._prefix, route.pattern);
+            out.push({
+                method: route.method,
+                pattern,
+                handlers: this._scope(pattern, route.handlers),
+                scope: this._scope(pattern, []),
+                options: this._scopeOptions(route.options),
+            });
+        }
+        for (const { prefix, router } of this._children) {
+            const base = joinPaths(this._prefix, prefix);
+            for (const route of router.flatten()) {
+                const pattern = joinPaths(base, route.pattern);
+                out.push({
+                    method: route.method,
+                    pattern,
+                    handlers: this._scope(pattern, route.handlers),
+                    scope: this._scope(pattern, route.scope),
+                    options: this._scopeOptions(route.options),
+                });
+            }
+        }
+        return out;
+    }
+
+    /**
+     * 注册路径参数预加载器：本路由器(及子路由器)中含该参数的路由命中时，先于路由处理器执行
+     * @param {string} name 参数名
+     * @param {Function} fn (value, ctx, next) => {}
+     * @returns {Router}
+     */
+    param(name, fn) {
+        this._params.push({ name, fn: paramMiddleware(name, fn) });
+        return this;
+    }
+
+    // 路由未单独指定 host 时继承本路由器的 host
+    _scopeOptions(options) {
+        if (!this.opts.host || options.host) return options;
+        return { ...options, host: this.opts.host };
+    }
+
+    // 在处理器前依次加上：作用域中间件 -> 该模式用到的参数预加载器
+    _scope(pattern, handlers) {
+        const names = patternParamNames(pattern);
+        const preloaders = this._params.filter(p => names.includes(p.name)).map(p => p.fn);
+        return [...this._middlewares, ...preloaders, ...handlers];
+    }
+}
+
+/**
+ * app.group() 回调收到的注册器。路由直接登记进 app 的基数树，组中间件前置到每个路由的处理器数组
+ * (ws 路由则前置到 upgrade 链)，因此不会因注册顺序被绕过。
+ */
+class RouteGroup {
+    constructor(app, prefix, middlewares) {
+        this.app = app;
+        this._prefix = prefix;
+        this._middlewares = middlewares;
+    }
+
+    register(method, ...args) {
+        const { pattern, handlers, options } = parseRouteArgs(args);
+        this.app._addRoute(method, joinPaths(this._prefix, pattern), handlers, options, this._middlewares);
+        return this;
+    }
+
+    get(...args) { return this.register('GET', ...args); }
+    post(...args) { return this.register('POST', ...args); }
+    put(...args) { return this.register('PUT', ...args); }
+    patch(...args) { return this.register('PATCH', ...args); }
+    delete(...args) { return this.register('DELETE', ...args); }
+    head(...args) { return this.register('HEAD', ...args); }
+    options(...args) { return this.register('OPTIONS', ...args); }
+    all(...args) { return this.register('*', ...args); }
+
+    ws(pattern, handlers = {}) {
+        const upgrade = Array.isArray(handlers.upgrade) ? handlers.upgrade : handlers.upgrade ? [handlers.upgrade] : [];
+        this.app.ws(joinPaths(this._prefix, pattern), { ...handlers, upgrade: [...this._middlewares, ...upgrade] });
+        return this;
+    }
+
+    /**
+     * 嵌套分组：前缀逐级拼接，中间件按 外层 -> 内层 的顺序前置
+     * @param {string} prefix 路径前缀
+     * @param {Function[]} [middlewares] 组中间件
+     * @param {(group: RouteGroup) => void} fn 在其中注册路由
+     * @returns {RouteGroup}
+     */
+    group(prefix, middlewares, fn) {
+        if (typeof middlewares === 'function') {
+            fn = middlewares;
+            middlewares = [];
+        }
+        const list = Array.isArray(middlewares) ? middlewares : [middlewares];
+        if (list.some(m => typeof m !== 'function')) throw new TypeError('组中间件必须是函数');
+        if (typeof fn !== 'function') throw new TypeError('group 需要一个注册路由的回调函数');
+        fn(new RouteGroup(this.app, joinPaths(this._prefix, prefix), [...this._middlewares, ...list]));
+        return this;
+    }
+}
+
+// 同名键重复出现时收集为数组
+const appendValue = (target, key, value) => {
+    if (!Object.prototype.hasOwnProperty.call(target, key)) target[key] = value;
+    else if (Array.isArray(target[key])) target[key].push(value);
+    else target[key] = [target[key], value];
+};
+
+// 取 Content-Disposition 的参数值；filename*=UTF-8''... (RFC 5987) 优先于 filename
+const dispositionParam = (header, key) => {
+    if (key === 'filename') {
+        const ext = /;\s*filename\*\s*=\s*([^']*)'[^']*'([^;]*)/i.exec(header);
+        if (ext) {
+            try { return decodeURIComponent(ext[2].trim()); } catch { /* 编码非法时回退到 filename */ }
+        }
+    }
+    // 浏览器把引号内的 " 编码为 %22，不使用反斜杠转义(IE 的 filename 还可能带 Windows 路径)
+    const m = new RegExp(`(?:^|;)\\s*${key}\\s*=\\s*(?:"([^"]*)"|([^;]*))`, 'i').exec(header);
+    if (!m) return undefined;
+    return m[1] !== undefined ? m[1] : m[2].trim();
+};
+
+const MULTIPART_MAX_HEADER = 16 * 1024; // 单个分段头的上限
+
+/**
+ * multipart/form-data 流式解析器：随 onData 分片写入，按边界切出各个分段。
+ * 普通字段在内存中累积；文件边到达边写入临时文件，不在内存里整体缓存。
+ */
+class MultipartParser {
+    /**
+     * @param {string} boundary Content-Type 中的 boundary
+     * @param {Object} limits 见 options.multipart
+     */
+    constructor(boundary, limits) {
+        this.delimiter = Buffer.from(`\r\n--${boundary}`);
+        this.limits = limits;
+        this.buf = Buffer.from('\r\n'); // 补上首个边界前的 CRLF，让所有边界形式一致
+        this.state = 'preamble';          // preamble -> boundary -> headers -> body -> boundary ... -> done
+        this.part = null;
+        this.fields = {};
+        this.files = {};
+        this.tempFiles = [];              // 已创建的临时文件 { path, stream }(响应结束后 cleanup)
+        this.pending = [];                // 文件落盘完成的 Promise
+        this.received = 0;
+        this.fileCount = 0;
+        this.fieldCount = 0;
+        this.onPause = null;              // 临时文件写入出现背压时暂停读取
+        this.onResume = null;
+    }
+
+    write(chunk) {
+        this.received += chunk.length;
+        if (this.received > this.limits.totalSize) throw httpError(413, '请求体过大', 'PAYLOAD_TOO_LARGE');
+        this.buf = this.buf.length > 0 ? Buffer.concat([this.buf, chunk]) : chunk;
+        this._consume();
+    }
+
+    // 数据全部到达：校验结束边界并等待文件写完
+    async end() {
+        if (this.state !== 'done') throw httpError(400, 'multipart 请求体不完整', 'INVALID_MULTIPART');
+        await Promise.all(this.pending);
+    }
+
+    // 出错或中止时关闭未写完的文件流(临时文件在响应结束后由 cleanup 删除)
+    destroy() {
+        if (this.part && this.part.stream) this.part.stream.destroy();
+        this.part = null;
+        this.state = 'done';
+    }
+
+    // 删除全部临时文件。createWriteStream 是异步打开的，流关闭前删除会在之后留下文件，所以等 close 后再删
+    cleanup() {
+        for (const { path: file, stream } of this.tempFiles) {
+            const unlink = () => fs.promises.unlink(file).catch(() => { }); // 处理器已移走的文件忽略 ENOENT
+            if (stream.closed) {
+                unlink();
+            } else {
+                stream.once('close', unlink);
+                stream.destroy();
+            }
+        }
+        this.tempFiles = [];
+    }
+
+    _consume() {
+        while (this.state !== 'done') {
+            if (this.state === 'preamble' || this.state === 'body') {
+                const idx = this.buf.indexOf(this.delimiter);
+                if (idx === -1) {
+                    // 末尾可能是被截断的边界，留下 delimiter.length - 1 字节等下一片
+                    const keep = Math.min(this.buf.length, this.delimiter.length - 1);
+                    if (this.state === 'body') this._data(this.buf.subarray(0, this.buf.length - keep));
+                    this.buf = this.buf.subarray(this.buf.length - keep);
+                    return;
+                }
+                if (this.state === 'body') {
+                    this._data(this.buf.subarray(0, idx));
+                    this._endPart();
+                }
+                this.buf = this.buf.subarray(idx + this.delimiter.length);
+                this.state = 'boundary';
+            } else if (this.state === 'boundary') {
+                if (this.buf.length < 2) return;
+                if (this.buf[0] === 0x2d && this.buf[1] === 0x2d) { // '--' 结束边界
+                    this.state = 'done';
+                    this.buf = Buffer.alloc(0);
+                    return;
+                }
+                // 边界行尾允许有空白(RFC 2046)，之后是 CRLF
+                const eol = this.buf.indexOf('\r\n');
+                if (eol === -1) {
+                    if (this.buf.length > 1024) throw httpError(400, 'multipart 边界格式错误', 'INVALID_MULTIPART');
+                    return;
+                }
+                this.buf = this.buf.subarray(eol + 2);
+                this.state = 'headers';
+            } else {
+                // 分段头为空时直接以 CRLF 开始
+                const end = this.buf[0] === 0x0d && this.buf[1] === 0x0a ? -2 : this.buf.indexOf('\r\n\r\n');
+                if (end === -1 || (end === -2 && this.buf.length < 2)) {
+                    if (this.buf.length > MULTIPART_MAX_HEADER) throw httpError(400, 'multipart 分段头过大', 'INVALID_MULTIPART');
+                    return;
+                }
+                this._startPart(end === -2 ? '' : this.buf.subarray(0, end).toString('utf8'));
+                this.buf = this.buf.subarray(end === -2 ? 2 : end + 4);
+                this.state = 'body';
+            }
+        }
+    }
+
+    _startPart(headerText) {
+        const headers = {};
+        for (const line of headerText.split('\r\n')) {
+            const i = line.indexOf(':');
+            if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+        }
+        const disposition = headers['content-disposition'] || '';
+        const name = dispositionParam(disposition, 'name');
+        const filename = dispositionParam(disposition, 'filename');
+        // 没有字段名的分段、未选择文件的文件域(filename="")直接跳过
+        if (name === undefined || filename === '') {
+            this.part = { skip: true };
+            return;
+        }
+        if (filename === undefined) {
+            if (++this.fieldCount > this.limits.fields) throw httpError(413, '表单字段数量超过上限', 'TOO_MANY_FIELDS');
+            this.part = { type: 'field', name, chunks: [], size: 0 };
+            return;
+        }
+        if (++this.fileCount > this.limits.files) throw httpError(413, '上传文件数量超过上限', 'TOO_MANY_FILES');
+        const tmp = path.join(this.limits.uploadDir, `uwebkoa-${process.pid}-${crypto.randomBytes(8).toString('hex')}`);
+        const stream = fs.createWriteStream(tmp);
+        this.tempFiles.push({ path: tmp, stream });
+        const done = new Promise((resolve, reject) => {
+            stream.on('finish', resolve);
+            stream.on('error', reject);
+        });
+        done.catch(() => { }); // 出错提前结束时可能无人 await
+        this.pending.push(done);
+        this.part = {
+            type: 'file',
+            name,
+            stream,
+            file: {
+                fieldName: name,
+                originalName: path.basename(filename.replace(/\\/g, '/')),
+                path: tmp,
+                size: 0,
+                mimetype: headers['content-type'] || 'application/octet-stream',
+            },
+        };
+    }
+
+    _data(chunk) {
+        const part = this.part;
+        if (chunk.length === 0 || !part || part.skip) return;
+        if (part.type === 'field') {
+            part.size += chunk.length;
+            if (part.size > this.limits.fieldSize) throw httpError(413, '表单字段过大', 'FIELD_TOO_LARGE');
+            part.chunks.push(chunk);
+            return;
+        }
+        part.file.size += chunk.length;
+        if (part.file.size > this.limits.fileSize) throw httpError(413, '上传文件过大', 'FILE_TOO_LARGE');
+        // chunk 可能是后续还要切分的缓冲区的视图，写入前复制一份
+        if (!part.stream.write(Buffer.from(chunk)) && this.onPause) {
+            this.onPause();
+            part.stream.once('drain', this.onResume);
+        }
+    }
+
+    _endPart() {
+        const part = this.part;
+        this.part = null;
+        if (!part || part.skip) return;
+        if (part.type === 'field') {
+            appendValue(this.fields, part.name, Buffer.concat(part.chunks).toString('utf8'));
+        } else {
+            part.stream.end();
+            appendValue(this.files, part.name, part.file);
+        }
+    }
+}
+
+// 查询串 / urlencoded 表单中会被忽略的键(防原型污染)
+const UNSAFE_QUERY_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// 解码查询串中的一段：'+' 为空格，非法的 % 转义保留原样
+const decodeQueryComponent = (str) => decodeParam(str.replace(/\+/g, ' '));
+
+// 把 'a[b][]' 拆成 ['a', 'b', '']；超过 depth 层或不规范的剩余部分整体作为最后一段
+const splitBracketKey = (key, depth) => {
+    const open = key.indexOf('[');
+    const segs = [key.slice(0, open)];
+    const re = /\[([^[\]]*)\]/g;
+    re.lastIndex = open;
+    let pos = open;
+    let m;
+    while (segs.length <= depth && (m = re.exec(key)) && m.index === pos) {
+        segs.push(m[1]);
+        pos = re.lastIndex;
+    }
+    if (pos < key.length) segs.push(key.slice(pos));
+    return segs;
+};
+
+// 键全为不超过 arrayLimit 的非负整数的对象转成数组(按下标排序并压实)
+const compactArrays = (obj, arrayLimit) => {
+    for (const key of Object.keys(obj)) {
+        const value = obj[key];
+        if (value === null || typeof value !== 'object') continue;
+        compactArrays(value, arrayLimit);
+        if (Array.isArray(value)) continue;
+        const keys = Object.keys(value);
+        if (keys.length && keys.every(k => /^\d+$/.test(k) && Number(k) <= arrayLimit)) {
+            obj[key] = keys.sort((a, b) => a - b).map(k => value[k]);
+        }
+    }
+    return obj;
+};
+
 /**
- * 基于路径分段的基数树(radix/trie)路由。
- * 匹配复杂度为 O(路径段数)，而不是 O(路由数量)；每个请求只做一次 split('/')。
- * 优先级：静态段 > :参数 > 通配符 *（与多数成熟框架一致）。
+ * 解析查询串或 urlencoded 表单(两者共用)，按 options.queryParser：
+ * - 'simple'：同名键收集为数组
+ * - 'extended'：另支持方括号语法 filter[status]=open、ids[]=1、a[0]=x
+ * - 函数：(str) => 对象，完全自定义；false：不解析
+ * options.queryLimits 限制参数个数(多余的忽略)、嵌套深度与数组下标上限。
+ * @param {string} str 查询串(不含 ?)或表单文本
+ * @param {Object} options 应用选项
+ * @returns {Object}
  */
-class RadixRouter {
-    constructor() {
-        this.root = this._newNode();
+const parseQuery = (str, options) => {
+    const parser = options.queryParser;
+    if (typeof parser === 'function') return parser(str) || {};
+    const out = {};
+    if (!str || parser === false) return out;
+    const { parameters, depth, arrayLimit } = options.queryLimits;
+    const extended = parser === 'extended';
+    const pairs = str.split('&', parameters);
+    let nested = false;
+    for (const pair of pairs) {
+        if (!pair) continue;
+        const eq = pair.indexOf('=');
+        const key = decodeQueryComponent(eq === -1 ? pair : pair.slice(0, eq));
+        const value = eq === -1 ? '' : decodeQueryComponent(pair.slice(eq + 1));
+        if (!extended || key.indexOf('[') <= 0) {
+            if (key && !UNSAFE_QUERY_KEYS.has(key)) appendValue(out, key, value);
+            continue;
+        }
+        const segs = splitBracketKey(key, depth);
+        if (segs.some(seg => UNSAFE_QUERY_KEYS.has(seg))) continue;
+        nested = true;
+        let target = out;
+        for (let i = 0; i < segs.length; i++) {
+            // 'ids[]' 追加到下一个下标
+            const seg = segs[i] === '' ? String(Object.keys(target).length) : segs[i];
+            if (i === segs.length - 1) {
+                appendValue(target, seg, value);
+            } else {
+                if (target[seg] === undefined) target[seg] = {};
+                // 同名键既有普通值又有嵌套写法时，忽略嵌套写法
+                if (typeof target[seg] !== 'object' || Array.isArray(target[seg])) break;
+                target = target[seg];
+            }
+        }
     }
+    return nested ? compactArrays(out, arrayLimit) : out;
+};
 
-    _newNode() {
-        return {
-            statics: new Map(), // 静态子节点: segment -> node
-            param: null,        // :param 子节点
-            paramName: null,    // 参数名
-            wildcard: null,     // * 子节点(匹配剩余全部)
-            handlers: null,     // method(大写) -> Function[]
-        };
+// 可能带来原型污染的键(含 \u 转义写法时也走慢路径)
+const UNSAFE_JSON_KEY = /__proto__|constructor|\\u/;
+const stripUnsafeKeys = (key, value) => (key === '__proto__' || key === 'constructor' ? undefined : value);
+
+/**
+ * 解析 JSON 请求体，去掉 __proto__ / constructor 键；格式错误时抛出 400 INVALID_JSON
+ * @param {string} text 请求体文本
+ * @param {'any'|'object'} [topLevel='any'] 'object' 时顶层只接受对象或数组
+ */
+const parseJson = (text, topLevel = 'any') => {
+    let value;
+    try {
+        value = UNSAFE_JSON_KEY.test(text) ? JSON.parse(text, stripUnsafeKeys) : JSON.parse(text);
+    } catch (e) {
+        throw httpError(400, '无效的 JSON 请求体', 'INVALID_JSON');
+    }
+    if (topLevel === 'object' && (value === null || typeof value !== 'object')) {
+        throw httpError(400, 'JSON 请求体顶层必须是对象或数组', 'INVALID_JSON');
+    }
+    return value;
+};
+
+// JSON 请求体的统一入口(ctx.request.json() 与 parseBody 共用)：空请求体视为 {}
+const parseJsonBody = (text, topLevel) => (text.trim() === '' ? {} : parseJson(text, topLevel));
+
+// 媒体类型(去掉参数、小写)与 charset 参数
+const mediaTypeOf = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+const charsetOf = (contentType) => {
+    const m = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType || '');
+    return m ? m[1].toLowerCase() : null;
+};
+
+/**
+ * 按 charset 解码请求体，未声明时按 UTF-8；不支持的字符集抛出 415 UNSUPPORTED_CHARSET
+ * @param {Buffer} buffer 请求体
+ * @param {string|null} charset Content-Type 中的 charset
+ */
+const decodeBody = (buffer, charset) => {
+    if (!charset || charset === 'utf-8' || charset === 'utf8') return buffer.toString();
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset);
+    } catch (e) {
+        throw httpError(415, `不支持的字符集: ${charset}`, 'UNSUPPORTED_CHARSET');
+    }
+    return decoder.decode(buffer);
+};
+
+// 媒体类型模式：'text/csv'、'text/*'、'*/*+json'('+json' 为其简写)，也可传 RegExp
+const compileMimePattern = (pattern) => {
+    if (pattern instanceof RegExp) return (type) => pattern.test(type);
+    let p = String(pattern).trim().toLowerCase();
+    if (p.startsWith('+')) p = '*/*' + p;
+    const re = new RegExp('^' + p.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*') + '$');
+    return (type) => re.test(type);
+};
+
+// 内置 JSON 解析：strictJson 时格式错误抛 400，否则记录错误并保留原始字符串
+const jsonBodyParser = (buffer, ctx, { text }) => {
+    const str = text();
+    if (ctx.options.strictJson) return parseJsonBody(str, ctx.options.jsonTopLevel);
+    try {
+        return parseJsonBody(str, ctx.options.jsonTopLevel);
+    } catch (e) {
+        console.error('JSON解析错误:', e);
+        return str;
+    }
+};
+
+// 支持的请求体 Content-Encoding 及对应的解压流
+const DECOMPRESSORS = {
+    gzip: () => zlib.createGunzip(),
+    'x-gzip': () => zlib.createGunzip(),
+    deflate: () => zlib.createInflate(),
+    br: () => zlib.createBrotliDecompress(),
+};
+
+/**
+ * 请求体解析器注册表(app.bodyParser)：parseBody 按 Content-Type 选择解析器，后注册的优先。
+ * 内置 application/json、+json 结构化后缀与 application/x-www-form-urlencoded；multipart 始终走流式解析。
+ */
+class BodyParserRegistry {
+    constructor() {
+        this.parsers = []; // { pattern, match, parser, limit }
+        this.register('application/json', jsonBodyParser);
+        this.register('+json', jsonBodyParser);
+        this.register('application/x-www-form-urlencoded', (buffer, ctx, { text }) => parseQuery(text(), ctx.options));
     }
 
     /**
-     * 注册路由
-     * @param {string} method HTTP 方法(不区分大小写)
-     * @param {string} pattern 路由模式，支持 :param 与结尾 /*
-     * @param {Function[]} handlers 处理器数组
+     * 注册解析器
+     * @param {string|RegExp} pattern 媒体类型模式，如 'text/csv'、'application/*'、'+xml'
+     * @param {Function} parser (buffer, ctx, { type, charset, text }) => 解析结果(可返回 Promise)；text() 按 charset 解码
+     * @param {Object} [options]
+     * @param {number|string} [options.limit] 该类型的请求体上限(应用 bodyLimits 与路由 bodyLimit 优先)
+     * @returns {BodyParserRegistry} 自身，支持链式调用
      */
-    add(method, pattern, handlers) {
-        const segments = pattern.split('/').filter(Boolean);
-        let node = this.root;
-        for (const seg of segments) {
-            if (seg === '*') {
-                node.wildcard = node.wildcard || this._newNode();
-                node = node.wildcard;
-                break; // 通配符吞掉剩余路径
-            } else if (seg.startsWith(':')) {
-                if (!node.param) {
-                    node.param = this._newNode();
-                    node.paramName = seg.slice(1);
-                }
-                node = node.param;
-            } else {
-                if (!node.statics.has(seg)) node.statics.set(seg, this._newNode());
-                node = node.statics.get(seg);
-            }
+    register(pattern, parser, options = {}) {
+        if (typeof parser !== 'function') throw new TypeError('请求体解析器必须是函数');
+        this.parsers.push({
+            pattern,
+            match: compileMimePattern(pattern),
+            parser,
+            limit: options.limit != null ? parseSize(options.limit) : null,
+        });
+        return this;
+    }
+
+    // 按媒体类型查找解析器(后注册的优先)
+    find(type) {
+        for (let i = this.parsers.length - 1; i >= 0; i--) {
+            if (this.parsers[i].match(type)) return this.parsers[i];
         }
-        node.handlers = node.handlers || new Map();
-        node.handlers.set(method.toUpperCase(), handlers);
+        return null;
     }
+}
 
+/**
+ * 请求体读取器。uWS 要求 onData 在请求处理函数同步返回前注册，否则数据会丢失，
+ * 所以 createContext 里立即注册；在有人读取之前先暂存已到达的分片并暂停接收(res.pause)。
+ */
+class BodyReader {
     /**
-     * 查找匹配的路由
-     * @returns {{handlers: Function[], params: Object}|null}
+     * @param {Object} res uWebSockets 响应对象
+     * @param {Object} headers 请求头(小写键)
      */
-    find(method, path) {
-        const segments = path.split('/').filter(Boolean);
-        const params = {};
-        const node = this._walk(this.root, segments, 0, params);
-        const m = method.toUpperCase();
-        if (node && node.handlers && node.handlers.has(m)) {
-            return { handlers: node.handlers.get(m), params };
-        }
-        return null;
+    constructor(res, headers) {
+        this.res = res;
+        this.pending = [];       // 读取前已到达的分片
+        this.ended = false;      // 是否已收到最后一片
+        this.received = 0;       // 已收到的字节数
+        this.consumer = null;    // 读取方回调 (chunk, isLast)
+        this.discarding = false; // 响应结束后丢弃剩余数据
+        this.detached = false;   // 响应已结束或请求已中止：不能再访问 res
+        this.declared = headers['content-length'] !== undefined ? Number(headers['content-length']) : null;
+        this.chunked = /chunked/i.test(headers['transfer-encoding'] || '');
+        // Expect: 100-continue 时，客户端等到 100 Continue 才发送请求体；首次读取时再发送
+        this.expectContinue = /^\s*100-continue\s*$/i.test(headers.expect || '');
+
+        res.onData((ab, isLast) => {
+            this.received += ab.byteLength;
+            if (isLast) this.ended = true;
+            if (this.discarding) return;
+            // 回调返回后 ArrayBuffer 即失效，必须复制
+            const chunk = Buffer.from(new Uint8Array(ab));
+            if (this.consumer) this.consumer(chunk, isLast);
+            else this.pending.push(chunk);
+        });
+        if (!this.ended) this.pause();
     }
 
-    _walk(node, segments, i, params) {
-        if (i === segments.length) {
-            if (node.handlers) return node;
-            // 形如 /files/* 也应匹配 /files 本身
-            if (node.wildcard && node.wildcard.handlers) return node.wildcard;
-            return null;
-        }
-        const seg = segments[i];
+    // 是否已开始读取(或已丢弃)
+    get consumed() {
+        return this.consumer !== null || this.discarding;
+    }
 
-        // 1) 静态段优先
-        const staticChild = node.statics.get(seg);
-        if (staticChild) {
-            const r = this._walk(staticChild, segments, i + 1, params);
-            if (r) return r;
-        }
-        // 2) 参数段
-        if (node.param) {
-            const had = Object.prototype.hasOwnProperty.call(params, node.paramName);
-            const saved = params[node.paramName];
-            params[node.paramName] = decodeParam(seg);
-            const r = this._walk(node.param, segments, i + 1, params);
-            if (r) return r;
-            // 回溯
-            if (had) params[node.paramName] = saved; else delete params[node.paramName];
+    /**
+     * 开始读取：先回放已暂存的分片，之后的分片直接交给 onChunk。请求体只能被读取一次。
+     * @param {(chunk: Buffer, isLast: boolean) => void} onChunk
+     */
+    consume(onChunk) {
+        if (this.consumed) throw httpError(500, '请求体已被读取', 'BODY_ALREADY_READ');
+        this.consumer = onChunk;
+        if (this.expectContinue) {
+            this.expectContinue = false;
+            if (typeof this.res.writeContinue === 'function') this.res.cork(() => this.res.writeContinue());
         }
-        // 3) 通配符：匹配剩余全部
-        if (node.wildcard && node.wildcard.handlers) {
-            return node.wildcard;
+        const pending = this.pending;
+        this.pending = [];
+        // 先恢复接收：新数据要到下一轮事件循环才到达，回放期间读取方仍可再次 pause
+        if (!this.ended) this.resume();
+        if (pending.length === 0 && this.ended) {
+            onChunk(Buffer.alloc(0), true);
+            return;
         }
-        return null;
+        pending.forEach((chunk, i) => onChunk(chunk, this.ended && i === pending.length - 1));
+    }
+
+    pause() {
+        if (this.detached) return;
+        if (typeof this.res.pause === 'function') this.res.pause();
+    }
+
+    resume() {
+        if (this.detached) return;
+        if (typeof this.res.resume === 'function') this.res.resume();
+    }
+
+    // 丢弃未读完的数据并恢复接收(保持连接可复用)；须在响应结束前调用
+    discard() {
+        if (this.discarding) return;
+        this.discarding = true;
+        this.consumer = null;
+        this.pending = [];
+        if (!this.ended) this.resume();
+    }
+
+    // 与 res 脱离：之后的 pause / resume 均不再访问 res(uWS 在 end 或 onAborted 之后访问 res 会抛错)
+    detach() {
+        this.detached = true;
+        this.discarding = true;
+        this.consumer = null;
+        this.pending = [];
+    }
+
+    /**
+     * 响应时请求体仍未收完，且剩余量未知(chunked)或超过 maxDrain 时，应关闭连接而不是继续接收。
+     * 客户端还在等 100 Continue 时也要关闭：它不会发送请求体，继续接收会把下一个请求当成请求体。
+     * @param {number} maxDrain 愿意丢弃接收的最大字节数
+     */
+    shouldClose(maxDrain) {
+        if (this.ended) return false;
+        if (this.chunked || this.expectContinue) return true;
+        return this.declared !== null && this.declared - this.received > maxDrain;
     }
 }
 
+/**
+ * ctx.request 的共享原型：按需读取请求体。
+ * 请求体只在调用这些方法(或 ctx.parseBody)时才读取；eagerBody 模式下在中间件前读好。
+ */
+const requestProto = {
+    // 原始请求体 Buffer
+    buffer() {
+        return this.ctx._readBody();
+    },
+
+    // 以 Readable 流逐块读取请求体(可 for await 迭代)；与 buffer/text/json/form 互斥
+    stream() {
+        return this.ctx._bodyStream();
+    },
+
+    // 请求体文本(按 Content-Type 的 charset 解码，默认 UTF-8)
+    async text() {
+        return decodeBody(await this.ctx._readBody(), charsetOf(this.headers['content-type']));
+    },
+
+    // 解析 JSON 请求体，格式错误时抛出 400 INVALID_JSON；结果同时写入 request.body
+    async json() {
+        this.body = parseJsonBody(await this.text(), this.ctx.options.jsonTopLevel);
+        return this.body;
+    },
+
+    // 解析表单(urlencoded 或 multipart)；multipart 的文件写入 request.files
+    async form() {
+        const contentType = this.headers['content-type'] || '';
+        if (/^multipart\/form-data/i.test(contentType)) {
+            return this.ctx._readMultipart();
+        }
+        this.body = parseQuery(await this.text(), this.ctx.options);
+        return this.body;
+    },
+};
+
+// 响应体是否为流：Node Readable、Web ReadableStream、异步可迭代对象或生成器
+const isStreamBody = (body) => body !== null && typeof body === 'object' && !Buffer.isBuffer(body) && (
+    typeof body.getReader === 'function' ||
+    typeof body[Symbol.asyncIterator] === 'function' ||
+    (typeof body.next === 'function' && typeof body[Symbol.iterator] === 'function')
+);
+
+// 取流式响应体的迭代器；Web ReadableStream 用 reader 读取，return() 时取消
+const streamIterator = (body) => {
+    if (typeof body.getReader === 'function') {
+        const reader = body.getReader();
+        return { next: () => reader.read(), return: () => reader.cancel() };
+    }
+    if (typeof body[Symbol.asyncIterator] === 'function') return body[Symbol.asyncIterator]();
+    return body;
+};
+
+// 流式响应体的分片转为 Buffer
+const toChunk = (value) => {
+    if (Buffer.isBuffer(value)) return value;
+    if (typeof value === 'string') return Buffer.from(value);
+    if (ArrayBuffer.isView(value)) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    if (value instanceof ArrayBuffer) return Buffer.from(value);
+    throw new TypeError('流式响应体的分片必须是 Buffer、Uint8Array 或字符串');
+};
+
 // 解析 Cookie 请求头为对象
 const parseCookieHeader = (raw) => {
     const out = {};
@@ -202,8 +1621,24 @@ const serializeCookie = (name, value, opts = {}) => {
 const httpCtxProto = {
     // —— 兼容 Koa 的属性访问器 ——
     get url() { return this.request.url; },
+    get originalUrl() { return this.request.originalUrl; }, // 挂载子应用去掉前缀前的 URL
     get method() { return this.request.method; },
     get headers() { return this.request.headers; },
+    get params() { return this.request.params; },
+    // 命中路由的模式 / 名字 / 元数据。分发后取分发时固定的路由；分发前读取会提前匹配(结果缓存，分发时复用)
+    get routePath() { const r = this._matchedRoute(); return r ? r.pattern : null; },
+    get routeName() { const r = this._matchedRoute(); return r ? r.name : null; },
+    get routeMeta() { const r = this._matchedRoute(); return r ? r.meta : {}; },
+    _matchedRoute() {
+        if (this._route) return this._route;
+        if (!this.app || typeof this.app._matchRoute !== 'function') return null;
+        const match = this.app._matchRoute(this);
+        return match && match.handlers ? match.route : null;
+    },
+
+    // Host 请求头(含端口)与去掉端口的主机名；不信任 X-Forwarded-Host
+    get host() { return this.request.headers['host'] || ''; },
+    get hostname() { return hostnameOf(this.host); },
     get body() { return this.response.body; },
     set body(val) { this.response.body = val; },
     get status() { return this.response.status; },
@@ -285,14 +1720,13 @@ const httpCtxProto = {
         }
     },
 
-    // 解析JSON请求体，改进的缓冲区管理
+    /**
+     * 读取并按 Content-Type 解析请求体到 ctx.request.body：multipart 流式解析，其余交给 app.bodyParser 中匹配的解析器，
+     * 没有匹配的解析器时为按 charset 解码的字符串。
+     * eagerBody 模式下在中间件之前自动调用；默认由中间件按需调用(或改用 ctx.request.json() 等)。
+     */
     async parseBody() {
         const contentType = this.request.headers['content-type'];
-        const MAX_BODY_SIZE = 10 * 1024 * 1024; // 10MB
-        let totalSize = 0;
-        let buffer = null;
-        let chunks = [];
-
         try {
             // GET/HEAD 请求或已中止请求直接返回
             if (this.request.method === 'GET' || this.request.method === 'HEAD' || this._aborted) {
@@ -300,80 +1734,28 @@ const httpCtxProto = {
                 return;
             }
 
-            return await new Promise((resolve, reject) => {
-                // 解析数据
-                this.res.onData((chunk, isLast) => {
-                    try {
-                        const curChunk = Buffer.from(new Uint8Array(chunk));
-                        totalSize += curChunk.length;
-
-                        if (totalSize > MAX_BODY_SIZE) {
-                            // 清理资源
-                            buffer = null;
-                            chunks = [];
-                            const err = new Error('请求体过大');
-                            err.status = 413;
-                            err.code = 'PAYLOAD_TOO_LARGE';
-                            return reject(err);
-                        }
-
-                        chunks.push(curChunk);
-
-                        if (isLast) {
-                            try {
-                                buffer = Buffer.concat(chunks);
-                                chunks = []; // 清理临时数组
-
-                                if (contentType && contentType.includes('application/json')) {
-                                    try {
-                                        this.request.body = JSON.parse(buffer.toString());
-                                    } catch (e) {
-                                        console.error('JSON解析错误:', e);
-                                        this.request.body = buffer.toString();
-                                    }
-                                } else if (contentType && contentType.includes('application/x-www-form-urlencoded')) {
-                                    this.request.body = {};
-                                    const formData = buffer.toString();
-                                    const pairs = formData.split('&');
-                                    pairs.forEach(pair => {
-                                        const [key, value] = pair.split('=');
-                                        if (key) {
-                                            this.request.body[decodeURIComponent(key)] = decodeURIComponent(value || '');
-                                        }
-                                    });
-                                } else {
-                                    this.request.body = buffer.toString();
-                                }
-
-                                // 释放资源
-                                buffer = null;
-                                resolve();
-                            } catch (e) {
-                                this.request.body = buffer ? buffer.toString() : '';
-                                buffer = null;
-                                resolve();
-                            }
-                        }
-                    } catch (error) {
-                        // 确保清理资源
-                        buffer = null;
-                        chunks = [];
-                        reject(error);
-                    }
-                });
+            if (contentType && /^multipart\/form-data/i.test(contentType)) {
+                await this._readMultipart();
+                return;
+            }
 
-                // 请求中止处理(经由 ctx 统一分发，不直接调用 res.onAborted)
-                this.onAborted(() => {
-                    buffer = null;
-                    chunks = [];
-                    this.request.body = {};
-                    resolve();
-                });
-            });
+            const buffer = await this._readBody();
+            const type = mediaTypeOf(contentType);
+            const charset = charsetOf(contentType);
+            const text = () => decodeBody(buffer, charset);
+            const entry = type && this.app.bodyParser.find(type);
+            if (!entry) {
+                this.request.body = text();
+                return;
+            }
+            try {
+                this.request.body = await entry.parser(buffer, this, { type, charset, text });
+            } catch (err) {
+                // 自定义解析器抛出的普通错误视为请求体格式错误
+                if (err && err.status) throw err;
+                throw httpError(400, `请求体解析失败: ${err && err.message}`, 'INVALID_BODY');
+            }
         } catch (error) {
-            // 确保清理资源
-            buffer = null;
-            chunks = [];
             this.request.body = {};
             // 带状态码的错误(如请求体过大 413)向上抛出，交给统一错误处理返回响应
             if (error && error.status) {
@@ -384,6 +1766,218 @@ const httpCtxProto = {
         }
     },
 
+    /**
+     * 本请求适用的请求体上限(字节)：路由选项 bodyLimit > 应用 bodyLimits 中按 Content-Type 的上限 > 解析器注册时的 limit > 默认上限
+     * (multipart 默认用 multipart.totalSize，其余用 bodyLimit)
+     * @private
+     */
+    _bodyLimit(contentType) {
+        const route = this._matchedRoute();
+        if (route && route.bodyLimit != null) return route.bodyLimit;
+        const type = mediaTypeOf(contentType);
+        const limits = this.options.bodyLimits;
+        if (limits[type] !== undefined) return limits[type];
+        const wildcard = limits[type.split('/')[0] + '/*'];
+        if (wildcard !== undefined) return wildcard;
+        const parser = type && this.app.bodyParser.find(type);
+        if (parser && parser.limit != null) return parser.limit;
+        return type === 'multipart/form-data' ? this.options.multipart.totalSize : this.options.bodyLimit;
+    },
+
+    /**
+     * 开始消费请求体：先检查 Content-Length 是否超限，再把分片交给 onChunk(chunk, isLast)。
+     * 返回 Promise，由 onChunk 通过 done(err?, value) 结束；请求中止时以 REQUEST_ABORTED 拒绝。
+     * @private
+     */
+    _consumeBody(limit, onChunk) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let source = null;
+            const done = (err, value) => {
+                if (settled) return;
+                settled = true;
+                if (err) {
+                    // 出错后停止解压并丢弃剩余数据
+                    if (source) source.stop();
+                    reject(err);
+                } else {
+                    resolve(value);
+                }
+            };
+            if (!this._bodyReader) return done(null, null);
+            // 声明的长度已超限时不读数据，直接拒绝
+            if (Number(this.request.headers['content-length']) > limit) {
+                return done(httpError(413, '请求体过大', 'PAYLOAD_TOO_LARGE'));
+            }
+            this.onAborted(() => done(httpError(400, '请求已中止', 'REQUEST_ABORTED')));
+            try {
+                source = this._openBody(limit, (chunk, isLast) => {
+                    if (settled) return; // 出错后剩余数据直接丢弃
+                    try {
+                        onChunk(chunk, isLast, done);
+                    } catch (err) {
+                        done(err);
+                    }
+                }, done);
+            } catch (err) {
+                done(err);
+            }
+        });
+    },
+
+    /**
+     * 打开请求体数据源：按 Content-Encoding(gzip / deflate / br)解压后把分片交给 onChunk(chunk, isLast)，
+     * 解压失败或压缩数据超过 limit 时调用 onError。不支持的编码抛出 415 UNSUPPORTED_ENCODING。
+     * 返回的数据源(同时存于 ctx._bodySource)可 pause / resume / stop。
+     * @private
+     */
+    _openBody(limit, onChunk, onError) {
+        const reader = this._bodyReader;
+        if (reader.consumed) throw httpError(500, '请求体已被读取', 'BODY_ALREADY_READ');
+        const encoding = (this.request.headers['content-encoding'] || 'identity').trim().toLowerCase();
+        if (encoding === 'identity') {
+            this._bodySource = {
+                pause: () => reader.pause(),
+                resume: () => reader.resume(),
+                stop: () => reader.discard(),
+            };
+            reader.consume(onChunk);
+            return this._bodySource;
+        }
+        const create = DECOMPRESSORS[encoding];
+        if (!create) throw httpError(415, `不支持的内容编码: ${encoding}`, 'UNSUPPORTED_ENCODING');
+
+        // 解压后的大小由调用方按 limit 计数(防解压炸弹)；这里限制压缩数据本身
+        const inflate = create();
+        let received = 0;
+        this._bodySource = {
+            pause: () => inflate.pause(),
+            resume: () => inflate.resume(),
+            stop: () => { inflate.destroy(); reader.discard(); },
+        };
+        inflate.on('data', chunk => onChunk(chunk, false));
+        inflate.on('end', () => onChunk(Buffer.alloc(0), true));
+        inflate.on('error', () => onError(httpError(400, '请求体解压失败', 'INVALID_ENCODING')));
+        reader.consume((chunk, isLast) => {
+            if (inflate.destroyed) return;
+            received += chunk.length;
+            if (received > limit) return onError(httpError(413, '请求体过大', 'PAYLOAD_TOO_LARGE'));
+            // 解压跟不上时暂停接收
+            if (chunk.length && !inflate.write(chunk)) {
+                reader.pause();
+                inflate.once('drain', () => reader.resume());
+            }
+            if (isLast) inflate.end();
+        });
+        return this._bodySource;
+    },
+
+    // 读取完整请求体为 Buffer(受请求体上限约束)；结果缓存，可重复调用。开启 rawBody 时同时存入 request.rawBody
+    _readBody() {
+        if (!this._bodyPromise) {
+            const limit = this._bodyLimit(this.request.headers['content-type']);
+            const chunks = [];
+            let size = 0;
+            this._bodyPromise = this._consumeBody(limit, (chunk, isLast, done) => {
+                size += chunk.length;
+                if (size > limit) {
+                    chunks.length = 0;
+                    return done(httpError(413, '请求体过大', 'PAYLOAD_TOO_LARGE'));
+                }
+                chunks.push(chunk);
+                if (isLast) done(null, Buffer.concat(chunks));
+            }).then(buffer => {
+                buffer = buffer || Buffer.alloc(0);
+                const route = this._matchedRoute();
+                if (route && route.rawBody != null ? route.rawBody : this.options.rawBody) {
+                    this.request.rawBody = buffer;
+                }
+                return buffer;
+            });
+        }
+        return this._bodyPromise;
+    },
+
+    /**
+     * 请求体 Readable 流：消费方读得慢时暂停接收(res.pause)，读走后恢复；
+     * 超过请求体上限以 413 销毁流，请求中止以 REQUEST_ABORTED 销毁流。
+     * @private
+     */
+    _bodyStream() {
+        const reader = this._bodyReader;
+        let source = null;
+        let paused = false;
+        const stream = new Readable({
+            read() {
+                if (paused) {
+                    paused = false;
+                    source.resume();
+                }
+            },
+            destroy(err, cb) {
+                // 提前销毁(出错或消费方不再读取)时停止解压并丢弃剩余数据
+                if (source) source.stop();
+                else if (reader) reader.discard();
+                cb(err);
+            },
+        });
+        if (!reader) {
+            stream.push(null);
+            return stream;
+        }
+        // 出错时在下一轮销毁，保证调用方已开始监听/迭代
+        const fail = (err) => process.nextTick(() => stream.destroy(err));
+        const limit = this._bodyLimit(this.request.headers['content-type']);
+        if (Number(this.request.headers['content-length']) > limit) {
+            fail(httpError(413, '请求体过大', 'PAYLOAD_TOO_LARGE'));
+            return stream;
+        }
+        let size = 0;
+        try {
+            source = this._openBody(limit, (chunk, isLast) => {
+                if (stream.destroyed) return;
+                size += chunk.length;
+                if (size > limit) return stream.destroy(httpError(413, '请求体过大', 'PAYLOAD_TOO_LARGE'));
+                if (chunk.length && !stream.push(chunk) && !isLast) {
+                    paused = true;
+                    this._bodySource.pause();
+                }
+                if (isLast) stream.push(null);
+            }, err => stream.destroy(err));
+        } catch (err) {
+            fail(err);
+            return stream;
+        }
+        this.onAborted(() => stream.destroy(httpError(400, '请求已中止', 'REQUEST_ABORTED')));
+        return stream;
+    },
+
+    // 流式解析 multipart/form-data：字段进 request.body，文件写入临时文件后进 request.files；结果缓存
+    _readMultipart() {
+        if (this._multipartPromise) return this._multipartPromise;
+        const contentType = this.request.headers['content-type'] || '';
+        const m = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+        if (!m) return Promise.reject(httpError(400, 'multipart 请求缺少 boundary', 'INVALID_MULTIPART'));
+
+        const limit = this._bodyLimit(contentType);
+        const parser = new MultipartParser(m[1] || m[2], { ...this.options.multipart, totalSize: limit });
+        this._multipart = parser; // 响应结束后由 _cleanupContext 删除临时文件
+        parser.onPause = () => this._bodySource && this._bodySource.pause();
+        parser.onResume = () => this._bodySource && this._bodySource.resume();
+        this._multipartPromise = this._consumeBody(limit, (chunk, isLast, done) => {
+            parser.write(chunk);
+            if (isLast) parser.end().then(() => done(null), done);
+        }).then(() => {
+            this.request.body = parser.fields;
+            this.request.files = parser.files;
+            return parser.fields;
+        }, (err) => {
+            parser.destroy();
+            throw err;
+        });
+        return this._multipartPromise;
+    },
+
     // 设置响应状态码
     setStatus(code) {
         this.response.status = code;
@@ -395,6 +1989,17 @@ const httpCtxProto = {
         this.response.headers[key] = value;
         return this;
     },
+    // 向 Vary 响应头追加字段(不区分大小写去重)
+    vary(field) {
+        const headers = this.response.headers;
+        const key = Object.keys(headers).find(k => k.toLowerCase() === 'vary') || 'Vary';
+        const list = headers[key] ? String(headers[key]).split(',').map(f => f.trim()).filter(Boolean) : [];
+        for (const f of [].concat(field)) {
+            if (!list.some(x => x.toLowerCase() === f.toLowerCase())) list.push(f);
+        }
+        headers[key] = list.join(', ');
+        return this;
+    },
     // 设置响应体
     setBody(data) {
         this.response.body = data;
@@ -406,6 +2011,20 @@ const httpCtxProto = {
         this.response.body = data;
         return this;
     },
+    /**
+     * 响应结束前处理未读完的请求体：剩余量可接受时恢复接收并丢弃(连接可复用)，否则返回 true 表示应关闭连接。
+     * 之后与 res 脱离，必须在 res.end / tryEnd 之前调用。
+     * @param {boolean} [canClose=true] 调用方能否在结束响应时关闭连接
+     * @private
+     */
+    _releaseBody(canClose = true) {
+        const reader = this._bodyReader;
+        if (!reader || reader.detached) return false;
+        const close = canClose && reader.shouldClose(this.options.bodyLimit);
+        if (!close) reader.discard();
+        reader.detach();
+        return close;
+    },
     // 发送响应, 这个函数不能重复执行
     send() {
         // 如果已经发送过响应，则不再发送, 主要是为了优化 uWebSocket.js
@@ -416,11 +2035,17 @@ const httpCtxProto = {
 
         // 未显式设置 Content-Type 时，按 body 类型自动推断(Koa 风格)
         if (body !== null && !Object.keys(headers).some(k => k.toLowerCase() === 'content-type')) {
-            if (Buffer.isBuffer(body)) headers['Content-Type'] = 'application/octet-stream';
+            if (Buffer.isBuffer(body) || isStreamBody(body)) headers['Content-Type'] = 'application/octet-stream';
             else if (typeof body === 'object') headers['Content-Type'] = 'application/json';
             else if (typeof body === 'string') headers['Content-Type'] = body.trimStart().startsWith('<') ? 'text/html' : 'text/plain';
         }
 
+        // 流式响应体异步发送；handleRequest 会等待其完成后再清理上下文
+        if (isStreamBody(body)) {
+            this._sending = this._sendStream(body);
+            return this;
+        }
+
         // 使用 uWebSockets 的 cork 方法优化写入性能
         this.res.cork(() => {
             // 设置状态码
@@ -432,26 +2057,143 @@ const httpCtxProto = {
                 if (Array.isArray(value)) {
                     for (const v of value) this.res.writeHeader(key, String(v));
                 } else {
-                    this.res.writeHeader(key, String(value));
+                    this.res.writeHeader(key, String(value));
+                }
+            }
+
+            // 发送响应体
+            let payload;
+            if (body !== null) {
+                if (Buffer.isBuffer(body)) payload = body;
+                else if (typeof body === 'object') payload = JSON.stringify(body);
+                else payload = String(body);
+            }
+            // 请求体未读完且剩余过多(或长度未知)时，响应后关闭连接，不再接收剩余数据
+            const close = this._releaseBody();
+            if (this.request.method === 'HEAD') {
+                // HEAD 只回响应头：Content-Length 仍按实际响应体长度报告
+                const length = payload === undefined ? 0 : Buffer.byteLength(payload);
+                if (close) this.res.endWithoutBody(length, true);
+                else this.res.endWithoutBody(length);
+            } else if (close) {
+                this.res.end(payload === undefined ? '' : payload, true);
+            } else if (payload !== undefined) {
+                this.res.end(payload);
+            } else {
+                this.res.end();
+            }
+            this._ended = true; // 标记响应已结束
+        });
+        return this;
+    },
+    /**
+     * 发送流式响应体(Readable / Web ReadableStream / 异步可迭代对象)。
+     * 设置了 Content-Length 时用 tryEnd 按总长发送，否则用 write 分块传输(chunked)；
+     * 背压时等待 onWritable，与 sendFile 的大文件分支一致。请求中止或提前结束时销毁数据源。
+     * @private
+     */
+    async _sendStream(body) {
+        const res = this.res;
+        const headers = this.response.headers;
+        const lengthKey = Object.keys(headers).find(k => k.toLowerCase() === 'content-length');
+        const total = lengthKey !== undefined ? Number(headers[lengthKey]) : null;
+        const iterator = streamIterator(body);
+        let stopped = false;
+        let wake = null; // 正在等待背压解除的 resolve，中止时唤醒
+        const stop = () => {
+            if (stopped) return;
+            stopped = true;
+            try {
+                if (typeof body.destroy === 'function') body.destroy();
+                else if (typeof iterator.return === 'function') Promise.resolve(iterator.return()).catch(() => {});
+            } catch (e) {
+                console.error('关闭响应数据源出错:', e);
+            }
+        };
+        this._ended = true;
+        this.onAborted(() => {
+            stop();
+            if (wake) wake(true);
+        });
+        // tryEnd 无法在结束时关闭连接，固定长度时只能丢弃剩余请求体
+        const close = this._releaseBody(total === null);
+
+        res.cork(() => {
+            res.writeStatus(this.response.status.toString());
+            // Content-Length 由 tryEnd 按 total 自动写出，不能重复写
+            for (const key in headers) {
+                if (key === lengthKey) continue;
+                const value = headers[key];
+                if (Array.isArray(value)) {
+                    for (const v of value) res.writeHeader(key, String(v));
+                } else {
+                    res.writeHeader(key, String(value));
                 }
             }
+            if (this.request.method === 'HEAD') {
+                if (total !== null) res.endWithoutBody(total);
+                else res.endWithoutBody();
+            }
+        });
+        if (this.request.method === 'HEAD') return stop();
 
-            // 发送响应体
-            if (body !== null) {
-                if (Buffer.isBuffer(body)) {
-                    this.res.end(body);
-                } else if (typeof body === 'object') {
-                    this.res.end(JSON.stringify(body));
+        let offset = 0;
+        try {
+            while (!this._aborted) {
+                const { value, done } = await iterator.next();
+                if (done || this._aborted) break;
+                const chunk = toChunk(value);
+                if (chunk.length === 0) continue;
+
+                if (total === null) {
+                    let ok;
+                    res.cork(() => { ok = res.write(chunk); });
+                    // write 会缓冲整块数据；返回 false 时等 socket 可写再取下一块
+                    if (!ok) {
+                        await new Promise((resolve) => {
+                            wake = resolve;
+                            res.onWritable(() => { resolve(); return true; });
+                        });
+                    }
                 } else {
-                    this.res.end(String(body));
+                    const chunkOffset = offset; // 该 chunk 起始的绝对偏移
+                    offset += chunk.length;
+                    // resolve(true) 表示整个响应已发送完毕(或已中止)
+                    const finished = await new Promise((resolve) => {
+                        wake = resolve;
+                        res.cork(() => {
+                            const [ok, isDone] = res.tryEnd(chunk, total);
+                            if (isDone) return resolve(true);
+                            if (ok) return resolve(false);
+                            res.onWritable((written) => {
+                                if (this._aborted) { resolve(true); return true; }
+                                const [ok2, isDone2] = res.tryEnd(chunk.subarray(written - chunkOffset), total);
+                                if (isDone2) { resolve(true); return true; }
+                                if (ok2) { resolve(false); return true; }
+                                return false; // 仍有背压，等待下一次 onWritable
+                            });
+                        });
+                    });
+                    if (finished) break;
                 }
-            } else {
-                this.res.end();
+                wake = null;
             }
-            this._ended = true; // 标记响应已结束
-        });
-        return this;
+            if (!this._aborted) {
+                if (total === null) res.cork(() => (close ? res.end('', true) : res.end()));
+                // 数据比声明的 Content-Length 短：响应无法完整结束，只能断开连接
+                else if (offset < total) res.close();
+            }
+        } catch (err) {
+            if (!this._aborted) {
+                console.error('流式响应出错:', err);
+                // 响应头已发出，无法再改成错误状态，只能断开连接
+                res.close();
+            }
+        } finally {
+            stop();
+        }
     },
+
     // 发送文件
     async sendFile(filePath) {
         // 如果已经发送过响应，则不再发送
@@ -480,6 +2222,7 @@ const httpCtxProto = {
             if (stat.size <= MAX_SMALL_FILE_SIZE) {
                 const fileContent = await fs.promises.readFile(fullPath);
                 if (this._aborted) return false;
+                this._releaseBody(false);
                 this.res.cork(() => {
                     this.res.writeStatus('200 OK');
                     this.res.writeHeader('Content-Type', getContentType(fullPath));
@@ -504,6 +2247,7 @@ const httpCtxProto = {
                 }
             });
 
+            this._releaseBody(false);
             // 写响应头。注意：不手动写 Content-Length，
             // res.tryEnd(chunk, totalSize) 会用 totalSize 自动设置 Content-Length。
             this.res.cork(() => {
@@ -597,9 +2341,18 @@ const httpCtxProto = {
         }
     },
 
-    // 兼容 Koa 的 redirect 方法
-    redirect(url, status = 302) {
-        this.status = status;
+    // 按路由名生成 URL(同 app.url)；在挂载的子应用里带上挂载前缀
+    urlFor(name, params, options) {
+        return withMountPath(this._mountPath, this.app.url(name, params, options));
+    },
+
+    // 兼容 Koa 的 redirect 方法。url 也可以是已注册的路由名：redirect(name, [params], [status])
+    redirect(url, ...args) {
+        if (this.app && this.app._namedRoutes && this.app._namedRoutes.has(url)) {
+            const params = args[0] !== null && typeof args[0] === 'object' ? args.shift() : {};
+            url = this.urlFor(url, params);
+        }
+        this.status = args[0] === undefined ? 302 : args[0];
         this.set('Location', url);
         this.set('Content-Type', 'text/html');
         this.body = 'Redirecting to ' + url;
@@ -613,14 +2366,31 @@ class uWebKoa {
         this.context = {};
         this._wsRoutes = [];        // WebSocket 路由配置 { pattern, handlers }
         this._wsMiddlewares = [];   // 全局 WS 升级中间件(app.wsUse)
-        this._router = new RadixRouter(); // HTTP 路由基数树
+        this._mounts = [];          // 按路径前缀挂载的子应用 { prefix, app }
+        this._vhosts = [];          // 按 Host 挂载的子应用 { match, app }(用于收集其 ws 路由)
         this._routerMounted = false;      // 路由分发中间件是否已挂入链
+        this._namedRoutes = new Map();    // 路由名 -> 路由模式(用于 app.url 反向生成)
+        this._paramHandlers = new Map();  // 参数名 -> 预加载中间件[](app.param)
+        this._routeTable = [];            // 已注册 HTTP 路由 { method, pattern, host, name, handlers, meta, version }
+        this._versioned = false;          // 是否注册过带 version 的路由(决定是否解析版本请求头)
         this.uWebSocketApp = null; // 存储uWebSocket.js的应用实例
-        const { timeout: timeoutOption, ...restOptions } = options;
+        const { timeout: timeoutOption, multipart: multipartOption, queryLimits: queryLimitsOption, ...restOptions } = options;
         this.options = {
             rootDir: process.cwd(), // 默认使用当前工作目录
             staticDirs: {},         // 静态文件目录映射
             ssl: null,              // SSL 配置
+            strictRoutes: true,     // 重复/歧义路由注册时抛错；false 时仅警告
+            strict: false,          // 结尾斜杠是否有意义(/users/ 与 /users 是否为不同路由)
+            caseSensitive: true,    // 路由静态段是否区分大小写
+            redirectTrailingSlash: false, // 结尾斜杠与注册形式不一致时 301/308 跳转到规范 URL
+            bodyLimit: 10 * 1024 * 1024,  // 请求体上限(字节或 '1mb' 这类字符串)
+            bodyLimits: {},               // 按 Content-Type 的请求体上限，如 { 'application/json': '1mb', 'text/*': '100kb' }
+            eagerBody: false,             // 为 true 时在中间件前自动 parseBody(旧行为)；默认按需读取
+            strictJson: false,            // parseBody 遇到格式错误的 JSON 时返回 400 INVALID_JSON(否则保留原始字符串)
+            jsonTopLevel: 'any',          // 'object' 时 JSON 顶层只接受对象或数组
+            queryParser: 'simple',        // 查询串与 urlencoded 表单解析：'simple' | 'extended'(方括号嵌套) | false | (str) => 对象
+            checkContinue: null,          // Expect: 100-continue 的预检 (ctx) => boolean，返回 false 回 417，可抛出 401 等
+            rawBody: false,               // 读取请求体后保留原始 Buffer 到 ctx.request.rawBody(签名校验用)；路由选项可覆盖
             ...restOptions,
             // 统一的超时配置(深合并，避免用户只传部分字段时把默认值覆盖丢失)
             timeout: {
@@ -628,7 +2398,36 @@ class uWebKoa {
                 middleware: 0,      // 中间件链超时(毫秒)。默认 0=关闭(热路径零开销)；设正数则给整条链套超时并在超时返回 503
                 ...(timeoutOption || {}),
             },
+            // 查询串 / 表单解析限制(同样深合并)
+            queryLimits: {
+                parameters: 1000, // 参数个数上限，多余的忽略
+                depth: 5,         // 方括号嵌套深度上限，更深的部分整体作为键名
+                arrayLimit: 20,   // 数组下标上限，更大的下标按对象键处理
+                ...(queryLimitsOption || {}),
+            },
+            // multipart/form-data 上传限制(同样深合并)
+            multipart: {
+                fileSize: 10 * 1024 * 1024,  // 单个文件上限(字节)
+                files: 10,                   // 文件数量上限
+                fieldSize: 1024 * 1024,      // 单个普通字段上限(字节)
+                fields: 100,                 // 普通字段数量上限
+                totalSize: 50 * 1024 * 1024, // 整个请求体上限(字节)
+                uploadDir: os.tmpdir(),      // 临时文件目录
+                ...(multipartOption || {}),
+            },
         };
+        const queryParser = this.options.queryParser;
+        if (typeof queryParser !== 'function' && queryParser !== false && queryParser !== 'simple' && queryParser !== 'extended') {
+            throw new TypeError(`无效的 queryParser: ${queryParser}`);
+        }
+        // 请求体上限统一换算为字节；Content-Type 键名转小写
+        this.options.bodyLimit = parseSize(this.options.bodyLimit);
+        this.options.bodyLimits = Object.fromEntries(
+            Object.entries(this.options.bodyLimits || {}).map(([type, size]) => [type.toLowerCase(), parseSize(size)])
+        );
+        this.bodyParser = new BodyParserRegistry();  // 请求体解析器注册表(按 Content-Type)
+        this._router = this._newRadixRouter(); // HTTP 路由基数树
+        this._hostRouters = [];                // 带 Host 约束的路由树 { key, label, match, router }
         
         // 只有在没有禁用默认错误处理的情况下才添加
         if (options.disableDefaultErrorHandler !== true) {
@@ -679,11 +2478,18 @@ class uWebKoa {
     }
 
     /**
-     * 添加中间件
-     * @param {Function} middleware 中间件函数
+     * 添加中间件。传入 router.routes()(或 Router 实例)时，其路由会展开登记进基数树。
+     * @param {Function|Router} middleware 中间件函数
      * @returns {uWebKoa} 实例自身，支持链式调用
      */
     use(middleware) {
+        const router = middleware instanceof Router ? middleware : middleware && middleware.router;
+        if (router instanceof Router) {
+            for (const route of router.flatten()) {
+                this._addRoute(route.method, route.pattern, route.handlers.slice(route.scope.length), route.options, route.scope);
+            }
+            return this;
+        }
         this.middlewares.push(middleware);
         return this;
     }
@@ -706,15 +2512,8 @@ class uWebKoa {
         const method = req.getMethod().toUpperCase();
         const queryString = req.getQuery(); // 使用 uWebSockets 内置的 getQuery 方法获取完整的查询字符串
         const headers = {};
-        const query = {};
-
-        // 立即解析查询参数 query
-        if (queryString) {
-            const searchParams = new URLSearchParams(queryString);
-            for (const [key, value] of searchParams.entries()) {
-                query[key] = value;
-            }
-        }
+        // 立即解析查询参数 query(见 options.queryParser)
+        const query = parseQuery(queryString, this.options);
         // 立即解析请求头
         req.forEach((key, value) => {
             headers[key.toLowerCase()] = value;
@@ -725,13 +2524,24 @@ class uWebKoa {
         const ctx = Object.create(httpCtxProto);
         ctx.req = req;
         ctx.res = res;
-        ctx.request = { url, method, headers, query, queryString, params: {} };
+        ctx.request = Object.assign(Object.create(requestProto), { url, originalUrl: url, method, headers, query, queryString, params: {} });
+        Object.defineProperty(ctx.request, 'ctx', { value: ctx });
         ctx.response = { status: 200, headers: {}, body: null };
         ctx._aborted = false;        // 标记请求是否已中止
         ctx._ended = false;          // 标记响应是否已结束
         ctx._explicitStatus = false; // 标记状态码是否被显式设置(用于默认 404)
         ctx._abortHandlers = [];     // 中止回调队列(避免在同一个 res 上多次注册 onAborted)
+        ctx._route = null;           // 分发时命中的路由信息 { pattern, name, meta }
+        ctx._routeMatch = null;      // 路由查找缓存(见 _matchRoute)
+        ctx._mountPath = '';         // 挂载子应用时累计的路径前缀(urlFor / 命名重定向补回)
+        ctx._multipart = null;       // multipart 解析器(响应结束后删除其临时文件)
+        ctx._sending = null;         // 流式响应发送中的 Promise(见 _sendStream)
         ctx.type = options.type || 'http'; // 上下文类型：'http' | 'ws'
+        // 请求体读取器：onData 必须在本轮同步注册，实际读取推迟到 ctx.request.json() 等被调用时
+        ctx._bodyReader = ctx.type === 'http' && method !== 'GET' && method !== 'HEAD' ? new BodyReader(res, headers) : null;
+        ctx._bodySource = null;      // 正在读取的请求体数据源(见 _openBody)
+        ctx._bodyPromise = null;     // 缓存的请求体读取结果(Buffer)
+        ctx._multipartPromise = null;
         ctx.state = {};              // 用户暂存区(鉴权用户、请求级数据)；WS 升级期会带入连接期
         ctx.app = this;              // 指回 uWebKoa 实例(用于 ctx.app.publish 等)
         ctx.options = this.options;  // 将options传递给上下文对象
@@ -739,14 +2549,7 @@ class uWebKoa {
         // 将全局上下文的属性合并到请求上下文中。
         // context 可被用户随时替换(app.context = {...})，因此仍需按请求浅合并；
         // 但只有存在自有键时才遍历，空 context 时几乎零开销。
-        const context = this.context;
-        if (context) {
-            for (const key in context) {
-                if (Object.prototype.hasOwnProperty.call(context, key)) {
-                    ctx[key] = context[key];
-                }
-            }
-        }
+        assignContext(ctx, this.context);
         return ctx;
     }
     /**
@@ -827,12 +2630,14 @@ class uWebKoa {
         // 设置请求超时
         timeoutId = setTimeout(() => {
             if (!ctx._ended && !ctx._aborted) {
-                ctx._aborted = true;
                 try {
+                    const close = ctx._releaseBody();
+                    ctx._aborted = true;
                     res.cork(() => {
                         res.writeStatus('408 Request Timeout');
                         res.writeHeader('Content-Type', 'application/json');
-                        res.end(JSON.stringify({ error: '请求超时' }));
+                        if (close) res.end(JSON.stringify({ error: '请求超时' }), true);
+                        else res.end(JSON.stringify({ error: '请求超时' }));
                     });
                 } catch (error) {
                     console.error('发送超时响应时出错:', error);
@@ -845,6 +2650,8 @@ class uWebKoa {
         res.onAborted(() => {
             ctx._aborted = true;
             clearTimeout(timeoutId);
+            // 中止后不能再访问 res：先脱离请求体读取器，中止回调里停止读取时不会再 resume
+            if (ctx._bodyReader) ctx._bodyReader.detach();
             const handlers = ctx._abortHandlers || [];
             for (const handler of handlers) {
                 try { handler(); } catch (e) { console.error('中止回调执行出错:', e); }
@@ -852,10 +2659,17 @@ class uWebKoa {
         });
         
         try {
-            // 解析请求体
-            await ctx.parseBody().catch(err => {
-                ErrorHandler.handleError(err, ctx);
-            });
+            // Expect: 100-continue 的预检(不通过时直接回 413/417 等，不再等请求体)
+            if (ctx.request.headers.expect !== undefined) {
+                await this._checkContinue(ctx);
+            }
+
+            // eagerBody 模式：中间件执行前读好请求体(兼容旧行为)；默认由中间件按需读取
+            if (this.options.eagerBody) {
+                await ctx.parseBody().catch(err => {
+                    ErrorHandler.handleError(err, ctx);
+                });
+            }
             
             // 只有未结束的请求才执行中间件
             if (!ctx._ended && !ctx._aborted) {
@@ -877,12 +2691,36 @@ class uWebKoa {
             ErrorHandler.handleError(err, ctx);
         } finally {
             clearTimeout(timeoutId);
+
+            // 等待流式响应发送完毕
+            if (ctx._sending) await ctx._sending;
             
             // 资源清理
             this._cleanupContext(ctx);
         }
     }
 
+    /**
+     * Expect 请求头预检：只支持 100-continue(其它值 417)；声明的 Content-Length 超过上限时 413；
+     * 再调用 options.checkContinue(ctx)，其返回 false 时 417，抛出的错误(如 ctx.throw(401))照常响应。
+     * 通过后 100 Continue 在首次读取请求体时发送。
+     * @private
+     */
+    async _checkContinue(ctx) {
+        const expect = String(ctx.request.headers.expect).trim().toLowerCase();
+        if (expect !== '100-continue') {
+            throw httpError(417, `不支持的 Expect: ${expect}`, 'EXPECTATION_FAILED');
+        }
+        if (!ctx._bodyReader) return;
+        if (Number(ctx.request.headers['content-length']) > ctx._bodyLimit(ctx.request.headers['content-type'])) {
+            throw httpError(413, '请求体过大', 'PAYLOAD_TOO_LARGE');
+        }
+        const check = this.options.checkContinue;
+        if (check && (await check(ctx)) === false) {
+            throw httpError(417, '请求未通过预检', 'EXPECTATION_FAILED');
+        }
+    }
+
     /**
      * 执行中间件链(标准 Koa compose)。
      *
@@ -1024,10 +2862,17 @@ class uWebKoa {
     /**
      * 把路由登记到基数树，并确保"路由分发中间件"已挂入中间件链(只挂一次，在首个路由注册处)。
      * 这样 use() 注册的通用中间件仍在路由前执行，路由后注册的中间件(如 notFound)仍在其后执行。
+     * scope 为分组 / Router 作用域中间件，前置到处理器前并单独记录，replaceRoute 时保留。
      * @private
      */
-    _addRoute(method, pattern, handlers) {
-        this._router.add(method, pattern, handlers);
+    _addRoute(method, pattern, handlers, options = {}, scope = []) {
+        if (options.bodyLimit != null) options = { ...options, bodyLimit: parseSize(options.bodyLimit) };
+        const router = options.host ? this._hostRouter(options.host) : this._router;
+        const chain = scope.length > 0 ? [...scope, ...handlers] : handlers;
+        router.add(method, pattern, chain, options);
+        if (options.version) this._versioned = true;
+        if (options.name) this._nameRoute(options.name, pattern);
+        this._recordRoute(method.toUpperCase(), pattern, chain, options, scope);
         if (!this._routerMounted) {
             this._routerMounted = true;
             this.middlewares.push((ctx, next) => this._routerDispatch(ctx, next));
@@ -1035,20 +2880,367 @@ class uWebKoa {
         return this;
     }
 
+    /**
+     * 运行时删除路由(如功能开关、插件卸载)。正在处理中的请求会在原处理器链上执行完。
+     * @param {string} method HTTP方法；all() 注册的路由用 '*'
+     * @param {string} pattern 注册时的路由模式
+     * @param {Object} [options]
+     * @param {string|RegExp} [options.host] 注册时使用的 Host 约束
+     * @param {string} [options.version] 注册时使用的版本范围
+     * @returns {boolean} 是否删除了路由
+     */
+    removeRoute(method, pattern, options = {}) {
+        const m = method.toUpperCase();
+        const router = options.host ? this._hostRouter(options.host) : this._router;
+        if (!router.remove(m, pattern, options.version)) return false;
+
+        const i = this._routeIndex(m, pattern, options);
+        const [record] = i === -1 ? [] : this._routeTable.splice(i, 1);
+        // 路由名不再被任何路由使用时一并释放
+        if (record && record.name && !this._routeTable.some(r => r.name === record.name)) {
+            this._namedRoutes.delete(record.name);
+        }
+        return true;
+    }
+
+    /**
+     * 运行时替换路由的处理器链：replaceRoute(method, pattern, [options], ...handlers)。
+     * 未传 options 时沿用原路由的 name / meta / host / version / bodyLimit / rawBody。新请求立即走新处理器，处理中的请求仍走旧链。
+     * 只替换路由自身的处理器：分组与 Router 的作用域中间件(如鉴权)仍前置，不会被绕过。
+     * @param {string} method HTTP方法
+     * @param {string} pattern 注册时的路由模式
+     * @returns {uWebKoa} 实例自身
+     */
+    replaceRoute(method, pattern, ...args) {
+        const m = method.toUpperCase();
+        const { handlers, options } = parseRouteArgs([pattern, ...args]);
+        const record = this._routeTable[this._routeIndex(m, pattern, options)];
+        if (!record) throw new Error(`路由不存在，无法替换: ${m} ${pattern}`);
+
+        const next = {
+            host: record.hostPattern, name: record.name, meta: record.meta,
+            version: record.version, bodyLimit: record.bodyLimit, rawBody: record.rawBody, ...options,
+        };
+        this.removeRoute(m, pattern, { host: record.hostPattern, version: record.version });
+        return this._addRoute(m, pattern, handlers, next, record.scope);
+    }
+
+    /**
+     * 记入路由表(供 app.routes() 查询)；同方法同模式被覆盖时(strictRoutes: false)替换旧记录
+     * @private
+     */
+    _recordRoute(method, pattern, handlers, options, scope) {
+        const record = {
+            method, pattern, host: options.host ? String(options.host) : null, hostPattern: options.host || null,
+            name: options.name || null, handlers, scope, meta: options.meta || {}, version: options.version || null,
+            bodyLimit: options.bodyLimit ?? null, rawBody: options.rawBody ?? null,
+        };
+        const i = this._routeIndex(method, pattern, options);
+        if (i === -1) this._routeTable.push(record);
+        else this._routeTable[i] = record;
+    }
+
+    // 路由表中 方法 + 模式 + Host + 版本 对应的记录下标
+    _routeIndex(method, pattern, options) {
+        const host = options.host ? String(options.host) : null;
+        const version = options.version || null;
+        return this._routeTable.findIndex(r => r.method === method && r.pattern === pattern && r.host === host && r.version === version);
+    }
+
+    /**
+     * 列出全部已注册路由(HTTP 与 WebSocket)，按注册顺序。
+     * all() 注册的路由 method 为 '*'，WebSocket 路由为 'WS'；
+     * middlewareCount 为该路由自身的处理器/升级中间件数(含 Router 作用域中间件与全局 wsUse)。
+     * mount() 挂载的子应用的路由排在最后，模式带上挂载前缀。
+     * @returns {{method: string, pattern: string, host: string|null, name: string|null, version: string|null, middlewareCount: number, meta: Object}[]}
+     */
+    routes() {
+        const list = this._routeTable.map(r => ({
+            method: r.method,
+            pattern: r.pattern,
+            host: r.host,
+            name: r.name,
+            version: r.version,
+            middlewareCount: r.handlers.length,
+            meta: r.meta,
+        }));
+        for (const { pattern, handlers } of this._wsRoutes) {
+            const upgrade = Array.isArray(handlers.upgrade) ? handlers.upgrade : handlers.upgrade ? [handlers.upgrade] : [];
+            list.push({
+                method: 'WS',
+                pattern,
+                host: null,
+                name: null,
+                version: null,
+                middlewareCount: this._wsMiddlewares.length + upgrade.length,
+                meta: {},
+            });
+        }
+        for (const mount of this._mounts) {
+            for (const route of mount.app.routes()) list.push({ ...route, pattern: joinPaths(mount.prefix, route.pattern) });
+        }
+        return list;
+    }
+
+    /**
+     * 以树形文本输出路由表(HTTP 路由树、各 Host 路由树 + WebSocket 路由列表)，如 console.log(app.printRoutes())
+     * @returns {string}
+     */
+    printRoutes() {
+        let out = this._router.print();
+        for (const { label, router } of this._hostRouters) out += `\nhost ${label}\n${router.print()}`;
+        for (const { pattern } of this._wsRoutes) out += `\nWS ${pattern}`;
+        return out;
+    }
+
+    /**
+     * 注册路径参数预加载器：命中含该参数的路由时，每个请求执行一次，先于路由处理器。
+     * 适合集中加载实体到 ctx.state，或统一以 404 拒绝。
+     * @param {string} name 参数名
+     * @param {Function} fn (value, ctx, next) => {}
+     * @returns {uWebKoa} 实例自身
+     */
+    param(name, fn) {
+        const list = this._paramHandlers.get(name) || [];
+        list.push(paramMiddleware(name, fn));
+        this._paramHandlers.set(name, list);
+        return this;
+    }
+
+    /**
+     * 取(或创建)某个 Host 模式专属的路由树；同一模式共用一棵树
+     * @private
+     */
+    _hostRouter(host) {
+        const key = host instanceof RegExp ? `regex:${host}` : `host:${String(host).toLowerCase()}`;
+        let entry = this._hostRouters.find(h => h.key === key);
+        if (!entry) {
+            entry = { key, label: String(host), match: compileHostPattern(host), router: this._newRadixRouter() };
+            this._hostRouters.push(entry);
+        }
+        return entry.router;
+    }
+
+    // 按应用选项创建路由树(默认树与各 Host 树共用同一套匹配模式)
+    _newRadixRouter() {
+        return new RadixRouter({
+            strictRoutes: this.options.strictRoutes,
+            strict: this.options.strict,
+            caseSensitive: this.options.caseSensitive,
+        });
+    }
+
+    /**
+     * 在 Host 专属路由树里查找：按注册顺序，Host 匹配且方法命中的第一棵树胜出，主机参数并入路径参数。
+     * 没有方法命中时返回首个"路径存在"的结果(供 405)，都没有则返回 null。
+     * @private
+     */
+    _findByHost(ctx, urlPath, version) {
+        const hostname = ctx.hostname;
+        let partial = null;
+        for (const entry of this._hostRouters) {
+            const hostParams = entry.match(hostname);
+            if (!hostParams) continue;
+            const match = entry.router.find(ctx.request.method, urlPath, version);
+            if (!match) continue;
+            match.params = { ...hostParams, ...match.params };
+            if (match.handlers) return match;
+            if (!partial) partial = match;
+        }
+        return partial;
+    }
+
+    /**
+     * 按 Host 把整个请求交给另一个 uWebKoa 实例处理(虚拟主机)，共用同一个监听端口。
+     * 命中的请求只走子应用的中间件链(含其路由、context 与错误处理)，不再继续本应用后续中间件。
+     * 子应用的 ws() 路由也会注册，只接受该 Host 的升级请求。
+     * @param {string|RegExp} hostPattern 如 'admin.example.com'、':tenant.example.com'
+     * @param {uWebKoa} subApp 子应用
+     * @returns {uWebKoa} 实例自身
+     */
+    vhost(hostPattern, subApp) {
+        const match = compileHostPattern(hostPattern);
+        this._vhosts.push({ match, app: subApp });
+        return this.use(async (ctx, next) => {
+            const hostParams = match(ctx.hostname);
+            if (!hostParams) return next();
+            ctx._hostParams = hostParams;
+            Object.assign(ctx.request.params, hostParams);
+            await this._dispatchSubApp(subApp, ctx);
+        });
+    }
+
+    /**
+     * 把另一个 uWebKoa 实例挂载到路径前缀下(如 app.mount('/admin', adminApp))。
+     * 子应用用自己的中间件、路由、context 与错误处理，看到的 ctx.request.url 已去掉前缀，ctx.originalUrl 保留原始 URL；
+     * 其 ws() 路由在 applyToApp 时加上前缀注册。命中前缀的请求不再继续本应用后续中间件。
+     * @param {string} prefix 路径前缀
+     * @param {uWebKoa} subApp 子应用
+     * @returns {uWebKoa} 实例自身
+     */
+    mount(prefix, subApp) {
+        if (subApp === this) throw new Error('不能把应用挂载到自身');
+        const base = ('/' + prefix).replace(/\/+/g, '/').replace(/\/$/, ''); // 'admin/' -> '/admin'，'/' -> ''
+        const fold = this.options.caseSensitive ? (s) => s : (s) => s.toLowerCase();
+        const key = fold(base);
+        this._mounts.push({ prefix: base, app: subApp });
+        return this.use(async (ctx, next) => {
+            const url = ctx.request.url;
+            // '/admin' 命中 '/admin'、'/admin/x'，但不命中 '/administrator'
+            if (fold(url.slice(0, base.length)) !== key || (url.length > base.length && url[base.length] !== '/')) {
+                return next();
+            }
+            const mountPath = ctx._mountPath;
+            ctx.request.url = url.slice(base.length) || '/';
+            ctx._mountPath = mountPath + url.slice(0, base.length);
+            try {
+                await this._dispatchSubApp(subApp, ctx);
+            } finally {
+                ctx.request.url = url;
+                ctx._mountPath = mountPath;
+            }
+        });
+    }
+
+    /**
+     * 以子应用身份执行其中间件链：切换 ctx.app / ctx.options 并合并子应用的 context
+     * @private
+     */
+    async _dispatchSubApp(subApp, ctx) {
+        const prevApp = ctx.app;
+        const prevOptions = ctx.options;
+        ctx.app = subApp;
+        ctx.options = subApp.options;
+        assignContext(ctx, subApp.context);
+        try {
+            await subApp.executeMiddleware(ctx);
+        } finally {
+            ctx.app = prevApp;
+            ctx.options = prevOptions;
+        }
+    }
+
+    /**
+     * 解析 get/post/... 的参数后登记路由
+     * @private
+     */
+    _route(method, args) {
+        const { pattern, handlers, options } = parseRouteArgs(args);
+        return this._addRoute(method, pattern, handlers, options);
+    }
+
+    /**
+     * 登记路由名。同名只能对应同一个模式(允许 GET/HEAD 等多个方法共用一个名字)。
+     * @private
+     */
+    _nameRoute(name, pattern) {
+        const existing = this._namedRoutes.get(name);
+        if (existing !== undefined && existing !== pattern) {
+            throw new Error(`路由名 "${name}" 已被 ${existing} 使用，不能再用于 ${pattern}`);
+        }
+        this._namedRoutes.set(name, pattern);
+    }
+
+    /**
+     * 按路由名反向生成 URL
+     * @param {string} name 路由名
+     * @param {Object} [params] 路径参数；结尾通配符 *name 的值用 params.name(匿名 * 用 params['*'])
+     * @param {Object} [options]
+     * @param {Object|string} [options.query] 查询参数(对象的数组值会展开为重复的键)
+     * @returns {string}
+     */
+    url(name, params = {}, options = {}) {
+        const pattern = this._namedRoutes.get(name);
+        if (pattern === undefined) throw new Error(`未找到名为 "${name}" 的路由`);
+
+        const parts = [];
+        for (const raw of pattern.split('/').filter(Boolean)) {
+            const seg = parseSegment(raw);
+            if (seg.type === 'wildcard') {
+                const rest = params[seg.name || '*'];
+                if (rest != null && rest !== '') {
+                    parts.push(String(rest).split('/').map(encodeURIComponent).join('/'));
+                }
+                break;
+            }
+            if (seg.type === 'param') {
+                const value = params[seg.name];
+                if (value == null || value === '') {
+                    if (seg.optional) continue;
+                    throw new Error(`生成路由 "${name}" 的 URL 时缺少参数: ${seg.name}`);
+                }
+                if (seg.regex && !seg.regex.test(String(value))) {
+                    throw new Error(`生成路由 "${name}" 的 URL 时参数 ${seg.name} 不满足约束 (${seg.source})`);
+                }
+                parts.push(encodeURIComponent(String(value)));
+            } else {
+                parts.push(seg.value);
+            }
+        }
+
+        let url = '/' + parts.join('/');
+        const qs = stringifyQuery(options.query);
+        if (qs) url += '?' + qs;
+        return url;
+    }
+
+    /**
+     * 按 方法 + Host + 路径 查找路由。结果按 (app, method, url) 缓存在 ctx 上：
+     * 分发前读取 ctx.routePath 等会提前匹配，分发时直接复用，不会重复查找。
+     * @private
+     */
+    _matchRoute(ctx) {
+        const { method, url } = ctx.request;
+        const cached = ctx._routeMatch;
+        if (cached && cached.app === this && cached.method === method && cached.url === url) return cached.match;
+
+        const q = url.indexOf('?');
+        const path = q === -1 ? url : url.slice(0, q);
+        const match = this._findRoute(ctx, path);
+        ctx._routeMatch = { app: this, method, url, path, match };
+        return match;
+    }
+
+    /**
+     * 按 方法 + Host + 指定路径 查找：Host 专属路由树优先，未命中方法时回落到默认树
+     * @private
+     */
+    _findRoute(ctx, path) {
+        const method = ctx.request.method;
+        // 只有注册过版本化路由时才解析版本请求头
+        const version = this._versioned ? requestedVersion(ctx.request.headers) : null;
+        let match = this._hostRouters.length > 0 ? this._findByHost(ctx, path, version) : null;
+        if (!match || !match.handlers) match = this._router.find(method, path, version) || match;
+        return match;
+    }
+
     /**
      * 路由分发：在基数树里按 方法 + 路径 查找，命中则执行其处理器链，未命中则继续后续中间件。
      * @private
      */
     async _routerDispatch(ctx, next) {
-        let urlPath = ctx.request.url;
-        const q = urlPath.indexOf('?');
-        if (q !== -1) urlPath = urlPath.slice(0, q);
-
-        const match = this._router.find(ctx.request.method, urlPath);
+        const match = this._matchRoute(ctx);
+        if (this.options.redirectTrailingSlash && this._redirectTrailingSlash(ctx, ctx._routeMatch.path, match)) return;
         if (!match) return next();
-
-        ctx.request.params = match.params;
-        const handlers = match.handlers;
+        // 按版本选择处理器的响应随版本请求头变化，缓存需区分
+        if (match.versioned) ctx.vary(['Accept-Version', 'Accept']);
+        if (match.notAcceptable) return this._notAcceptable(ctx, next);
+        if (!match.handlers) return this._methodNotAllowed(ctx, next, match.node);
+
+        ctx._route = match.route; // 固定命中路由信息(ctx.routePath / routeName / routeMeta)
+
+        // vhost 捕获的主机参数与路径参数合并(同名时路径参数优先)
+        ctx.request.params = ctx._hostParams ? { ...ctx._hostParams, ...match.params } : match.params;
+        let handlers = match.handlers;
+        if (this._paramHandlers.size > 0) {
+            // 命中路由中含有的参数，按路径顺序前置其预加载器
+            const preloaders = [];
+            for (const key in ctx.request.params) {
+                const list = this._paramHandlers.get(key);
+                if (list) preloaders.push(...list);
+            }
+            if (preloaders.length > 0) handlers = [...preloaders, ...handlers];
+        }
         let index = 0;
         const routeNext = async () => {
             if (index >= handlers.length) {
@@ -1061,40 +3253,164 @@ class uWebKoa {
         await routeNext();
     }
 
+    /**
+     * redirectTrailingSlash：把请求重定向到路由注册时的规范形式(结尾有无斜杠)。
+     * strict 模式下原路径未命中而切换斜杠后命中时跳转；非 strict 模式下命中但斜杠与注册模式不一致时跳转。
+     * GET/HEAD 用 301，其它方法用 308(保留方法与请求体)。挂载在前缀下时跳转地址带上前缀。
+     * @private
+     * @returns {boolean} 是否已重定向
+     */
+    _redirectTrailingSlash(ctx, urlPath, match) {
+        if (urlPath === '/') return false;
+        const hasSlash = urlPath.endsWith('/');
+        let target = null;
+        if (match && match.handlers) {
+            const pattern = match.route.pattern;
+            if (!this.options.strict && pattern !== '/' && pattern.endsWith('/') !== hasSlash) {
+                target = hasSlash ? urlPath.slice(0, -1) : urlPath + '/';
+            }
+        } else if (this.options.strict) {
+            const alt = hasSlash ? urlPath.slice(0, -1) : urlPath + '/';
+            // 与正常分发一样经过 Host 路由
+            const altMatch = alt && this._findRoute(ctx, alt);
+            if (altMatch && altMatch.handlers) target = alt;
+        }
+        if (!target) return false;
+
+        // 挂载的子应用看到的是去掉前缀的路径，跳转地址要把前缀补回去
+        target = ctx._mountPath + target;
+
+        const method = ctx.request.method;
+        const qs = ctx.request.queryString;
+        ctx.redirect(qs ? `${target}?${qs}` : target, method === 'GET' || method === 'HEAD' ? 301 : 308);
+        return true;
+    }
+
+    /**
+     * 路径存在但没有该方法的处理器：先让后续中间件有机会处理，
+     * 仍无人响应时，OPTIONS 回 204 + Allow，其余方法回 405 + Allow(而不是默认 404)。
+     * @private
+     */
+    async _methodNotAllowed(ctx, next, node) {
+        await next();
+        if (ctx._ended || ctx._aborted || ctx.response.body !== null || ctx._explicitStatus) return;
+
+        ctx.set('Allow', this._router.allowedMethods(node).join(', '));
+        if (ctx.request.method === 'OPTIONS') {
+            ctx.status = 204;
+            return;
+        }
+        ctx.status = 405;
+        ctx.set('Content-Type', 'application/json');
+        ctx.body = { success: false, message: 'Method Not Allowed', code: 'METHOD_NOT_ALLOWED' };
+    }
+
+    /**
+     * 请求的 API 版本没有匹配的处理器：后续中间件也未处理时返回 406
+     * @private
+     */
+    async _notAcceptable(ctx, next) {
+        await next();
+        if (ctx._ended || ctx._aborted || ctx.response.body !== null || ctx._explicitStatus) return;
+        ctx.status = 406;
+        ctx.set('Content-Type', 'application/json');
+        ctx.body = { success: false, message: 'Not Acceptable', code: 'NOT_ACCEPTABLE' };
+    }
+
     /**
    * 注册GET路由
+   * @param {string} [name] 路由名(可选，用于 app.url 反向生成 URL)
    * @param {string} pattern 路由模式
    * @param {...Function} handlers 处理函数数组
    */
-    get(pattern, ...handlers) {
-        return this._addRoute('GET', pattern, handlers);
+    get(...args) {
+        return this._route('GET', args);
     }
 
     /**
      * 注册POST路由
+     * @param {string} [name] 路由名(可选，用于 app.url 反向生成 URL)
      * @param {string} pattern 路由模式
      * @param {...Function} handlers 处理函数数组
      */
-    post(pattern, ...handlers) {
-        return this._addRoute('POST', pattern, handlers);
+    post(...args) {
+        return this._route('POST', args);
     }
 
     /**
      * 注册PUT路由
+     * @param {string} [name] 路由名(可选，用于 app.url 反向生成 URL)
      * @param {string} pattern 路由模式
      * @param {...Function} handlers 处理函数数组
      */
-    put(pattern, ...handlers) {
-        return this._addRoute('PUT', pattern, handlers);
+    put(...args) {
+        return this._route('PUT', args);
     }
 
     /**
      * 注册DELETE路由
+     * @param {string} [name] 路由名(可选，用于 app.url 反向生成 URL)
      * @param {string} pattern 路由模式
      * @param {...Function} handlers 处理函数数组
      */
-    delete(pattern, ...handlers) {
-        return this._addRoute('DELETE', pattern, handlers);
+    delete(...args) {
+        return this._route('DELETE', args);
+    }
+
+    /**
+     * 注册PATCH路由
+     * @param {string} [name] 路由名(可选，用于 app.url 反向生成 URL)
+     * @param {string} pattern 路由模式
+     * @param {...Function} handlers 处理函数数组
+     */
+    patch(...args) {
+        return this._route('PATCH', args);
+    }
+
+    /**
+     * 注册HEAD路由(未注册时 GET 路由会自动响应 HEAD，且只返回响应头)
+     * @param {string} [name] 路由名(可选，用于 app.url 反向生成 URL)
+     * @param {string} pattern 路由模式
+     * @param {...Function} handlers 处理函数数组
+     */
+    head(...args) {
+        return this._route('HEAD', args);
+    }
+
+    /**
+     * 按任意方法注册路由。
+     * 注意 app.options 是配置对象，OPTIONS 路由需通过 app.register('OPTIONS', ...) 注册
+     * (未注册时 OPTIONS 自动以 204 + Allow 头响应)。
+     * @param {string} method HTTP方法
+     * @param {string} [name] 路由名
+     * @param {string} pattern 路由模式
+     * @param {...Function} handlers 处理函数数组
+     */
+    register(method, ...args) {
+        return this._route(method, args);
+    }
+
+    /**
+     * 路由分组：app.group('/admin', [auth, audit], (r) => { r.get('/users', ...); r.ws('/live', {...}) })。
+     * 组中间件前置到组内每个路由的处理器数组(ws 路由前置到 upgrade 链)，可嵌套 r.group(...)。
+     * @param {string} prefix 路径前缀
+     * @param {Function[]} [middlewares] 组中间件
+     * @param {Function} fn (r) => {} 在其中注册路由
+     * @returns {uWebKoa} 实例自身
+     */
+    group(prefix, middlewares, fn) {
+        new RouteGroup(this, '', []).group(prefix, middlewares, fn);
+        return this;
+    }
+
+    /**
+     * 注册响应任意方法的路由(优先级低于同路径上显式注册的方法)
+     * @param {string} [name] 路由名
+     * @param {string} pattern 路由模式
+     * @param {...Function} handlers 处理函数数组
+     */
+    all(...args) {
+        return this._route('*', args);
     }
 
     /**
@@ -1154,10 +3470,11 @@ class uWebKoa {
      * 依据 ws 路由配置构建 uWS 的 WebSocketBehavior 对象
      * @private
      */
-    _buildWsBehavior(route) {
+    _buildWsBehavior(route, outer = [], hostMatch = null) {
         const { pattern, handlers } = route;
         const config = handlers.config || {};
         const upgradeMiddlewares = [
+            ...outer,
             ...this._wsMiddlewares,
             ...(Array.isArray(handlers.upgrade) ? handlers.upgrade : handlers.upgrade ? [handlers.upgrade] : [])
         ];
@@ -1166,11 +3483,15 @@ class uWebKoa {
         // 从 config 中剔除我们自定义的字段，其余透传给 uWS
         const { rawMessage, ...uwsConfig } = config;
 
-        return {
+        // uWS 只按简化后的模式分发，参数约束与取值由同一套基数树匹配，保证与 HTTP 路由一致
+        const matcher = new RadixRouter({ strictRoutes: false, strict: this.options.strict, caseSensitive: this.options.caseSensitive });
+        matcher.add('GET', pattern, []);
+
+        const behavior = {
             ...uwsConfig,
             // 返回 Promise 便于测试 await；uWS 会忽略返回值
             upgrade: (res, req, context) =>
-                self._handleUpgrade(res, req, context, pattern, upgradeMiddlewares, handlers),
+                self._handleUpgrade(res, req, context, { matcher, hostMatch, behavior }, upgradeMiddlewares, handlers),
 
             open: (ws) => {
                 const ctx = self._makeWsContext(ws);
@@ -1223,25 +3544,40 @@ class uWebKoa {
                 }
             },
         };
+        return behavior;
     }
 
     /**
-     * 处理 WS 升级请求：跑升级中间件链，通过则 res.upgrade，否则返回 HTTP 错误
+     * 处理 WS 升级请求：跑升级中间件链，通过则 res.upgrade，否则返回 HTTP 错误。
+     * 路径不满足模式中的参数约束、或虚拟主机的路由 Host 不匹配时返回 404。
+     * @param {{matcher: RadixRouter, hostMatch: Function|null, behavior: Object}} route 路由匹配器、Host 约束与所属 behavior
      * @private
      */
-    async _handleUpgrade(res, req, context, pattern, middlewares, handlers) {
+    async _handleUpgrade(res, req, context, route, middlewares, handlers) {
         // 【关键】升级三件套必须在任何 await 之前同步取出(req 在异步后失效)
         const secKey = req.getHeader('sec-websocket-key');
         const secProtocol = req.getHeader('sec-websocket-protocol');
         const secExt = req.getHeader('sec-websocket-extensions');
 
         const ctx = this.createContext(res, req, { type: 'ws' });
-        ctx.parseParams(pattern);
 
         // 【关键】异步鉴权前必须先注册 onAborted
         let aborted = false;
         res.onAborted(() => { aborted = true; ctx._aborted = true; });
 
+        const url = ctx.request.url;
+        const q = url.indexOf('?');
+        const match = route.matcher.find('GET', q === -1 ? url : url.slice(0, q));
+        const hostParams = route.hostMatch ? route.hostMatch(ctx.hostname) : {};
+        if (!match || !match.handlers || !hostParams) {
+            ctx.status = 404;
+            ctx.set('Content-Type', 'application/json');
+            ctx.body = { success: false, message: 'Not Found', code: 'NOT_FOUND' };
+            ctx.send();
+            return;
+        }
+        Object.assign(ctx.request.params, hostParams, match.params);
+
         try {
             await this._runWsUpgradeChain(ctx, middlewares);
             if (aborted) return;
@@ -1263,7 +3599,8 @@ class uWebKoa {
                 url: ctx.request.url,
             };
             res.cork(() => {
-                res.upgrade({ carry }, secKey, secProtocol, secExt, context);
+                // behavior 供同一模式多组路由(虚拟主机)时分发连接期回调
+                res.upgrade({ carry, behavior: route.behavior }, secKey, secProtocol, secExt, context);
             });
         } catch (err) {
             if (aborted) return;
@@ -1595,18 +3932,87 @@ class uWebKoa {
      */
     applyToApp(app) {
         // 先注册 WebSocket 路由：必须在 any('/*') 通配之前，否则升级请求会被 HTTP catch-all 抢走
-        for (const route of this._wsRoutes) {
-            app.ws(route.pattern, this._buildWsBehavior(route));
+        const byPattern = new Map(); // uWS 模式 -> [{ behavior, hostMatch }]
+        for (const [pattern, behavior, hostMatch] of this._collectWsBehaviors()) {
+            for (const uwsPattern of toUwsPatterns(pattern)) {
+                if (!byPattern.has(uwsPattern)) byPattern.set(uwsPattern, []);
+                byPattern.get(uwsPattern).push({ behavior, hostMatch });
+            }
+        }
+        for (const [uwsPattern, entries] of byPattern) {
+            app.ws(uwsPattern, entries.length === 1 ? entries[0].behavior : this._wsHostDispatcher(entries));
         }
         // 处理所有 HTTP 请求
         app.any('/*', (res, req) => {
-            this.handleRequest(res, req);
+            // 兜底：清理阶段的意外错误不能变成未处理的 rejection 导致进程退出
+            this.handleRequest(res, req).catch(err => console.error('处理请求出错:', err));
         });
         return app; // 返回 app 实例以支持链式调用
     }
 
+    /**
+     * 收集本应用及挂载子应用的 ws 路由：子应用路由加上挂载前缀，升级链前置外层应用的 wsUse 中间件
+     * @private
+     */
+    _collectWsBehaviors(prefix = '', outer = [], hostMatch = null) {
+        const list = [];
+        for (const route of this._wsRoutes) {
+            const pattern = prefix ? joinPaths(prefix, route.pattern) : route.pattern;
+            list.push([pattern, this._buildWsBehavior({ ...route, pattern }, outer, hostMatch), hostMatch]);
+        }
+        for (const mount of this._mounts) {
+            list.push(...mount.app._collectWsBehaviors(prefix + mount.prefix, [...outer, ...this._wsMiddlewares], hostMatch));
+        }
+        for (const vhost of this._vhosts) {
+            // 嵌套的虚拟主机须同时满足外层与本层 Host，主机参数合并
+            const match = hostMatch
+                ? (hostname) => { const a = hostMatch(hostname); const b = a && vhost.match(hostname); return b && { ...a, ...b }; }
+                : vhost.match;
+            list.push(...vhost.app._collectWsBehaviors(prefix, [...outer, ...this._wsMiddlewares], match));
+        }
+        return list;
+    }
+
+    /**
+     * 多个应用(主应用与虚拟主机)在同一 uWS 模式上注册了 ws 路由时，uWS 只能注册一次：
+     * 升级时按 Host 选择(Host 专属的优先，其次不限 Host 的)，连接期回调交给升级时选中的那一组。
+     * uWS 配置(压缩、maxPayloadLength 等)取首个注册的路由。
+     * @private
+     */
+    _wsHostDispatcher(entries) {
+        const { upgrade, open, message, drain, ping, pong, dropped, close, ...config } = entries[0].behavior;
+        const forward = (name) => (ws, ...args) => ws.getUserData().behavior[name](ws, ...args);
+        return {
+            ...config,
+            upgrade: (res, req, context) => {
+                const hostname = hostnameOf(req.getHeader('host') || '');
+                const entry = entries.find(e => e.hostMatch && e.hostMatch(hostname))
+                    || entries.find(e => !e.hostMatch)
+                    || entries[0]; // 都不匹配：交给其 upgrade 按 Host 校验后返回 404
+                return entry.behavior.upgrade(res, req, context);
+            },
+            open: forward('open'),
+            message: forward('message'),
+            drain: forward('drain'),
+            ping: forward('ping'),
+            pong: forward('pong'),
+            dropped: forward('dropped'),
+            close: forward('close'),
+        };
+    }
+
     // 添加专门的上下文清理方法
     _cleanupContext(ctx) {
+        // 响应已结束：未读完的请求体已在结束前处理(_releaseBody)，这里只脱离，不再访问 res
+        if (ctx._bodyReader) {
+            ctx._bodyReader.detach();
+            ctx._bodyReader = null;
+        }
+        // 删除 multipart 上传的临时文件
+        if (ctx._multipart) {
+            ctx._multipart.cleanup();
+            ctx._multipart = null;
+        }
         try {
             // 清理大型对象
             if (ctx.request?.body && typeof ctx.request.body === 'object') {
@@ -1638,4 +4044,43 @@ uWebKoa.SendStatus = Object.freeze({
     DROPPED: 2,
 });
 
+/**
+ * HMAC 签名校验中间件(GitHub / Stripe 风格的 webhook)：对原始请求体计算 HMAC，与请求头中的签名做常量时间比较，
+ * 不匹配时抛出 401 INVALID_SIGNATURE。请求体经 ctx.request.buffer() 读取，之后仍可 json() / parseBody()。
+ * @param {Object} options
+ * @param {string} options.header 签名所在请求头，如 'x-hub-signature-256'
+ * @param {string|Buffer|Function} options.secret 密钥，或 (ctx) => 密钥(多租户)
+ * @param {string} [options.algorithm='sha256'] HMAC 算法
+ * @param {'hex'|'base64'|'base64url'} [options.encoding='hex'] 签名编码
+ * @param {string} [options.prefix=''] 签名前缀，如 GitHub 的 'sha256='
+ * @param {Function} [options.signature] (headerValue, ctx) => 签名或签名数组，用于从复合请求头中取签名(如 Stripe 的 v1=)
+ * @param {Function} [options.payload] (rawBody, ctx) => 参与签名的内容，默认原始请求体
+ * @returns {Function} 中间件
+ */
+const verifyHmac = (options = {}) => {
+    const { header, secret, algorithm = 'sha256', encoding = 'hex', prefix = '', signature, payload } = options;
+    if (!header) throw new TypeError('verifyHmac 需要 header 选项');
+    if (!secret) throw new TypeError('verifyHmac 需要 secret 选项');
+    const name = header.toLowerCase();
+
+    return async (ctx, next) => {
+        const value = ctx.request.headers[name];
+        if (!value) throw httpError(401, '缺少签名', 'INVALID_SIGNATURE');
+        let candidates = signature ? signature(value, ctx) : (value.startsWith(prefix) ? value.slice(prefix.length) : null);
+        candidates = [].concat(candidates || []);
+
+        const raw = await ctx.request.buffer();
+        const key = typeof secret === 'function' ? await secret(ctx) : secret;
+        const expected = crypto.createHmac(algorithm, key).update(payload ? payload(raw, ctx) : raw).digest();
+        // 长度不同时 timingSafeEqual 会抛错；长度本身不是秘密，先比较长度
+        const valid = candidates.some(sig => {
+            const given = Buffer.from(String(sig), encoding);
+            return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        });
+        if (!valid) throw httpError(401, '签名无效', 'INVALID_SIGNATURE');
+        await next();
+    };
+};
+
+export { Router, verifyHmac };
 export default uWebKoa;
\ No newline at end of file
@@ -18,8 +18,8 @@ app.get('/large', (ctx) => {
     ctx.json(data);
 });
 
-// POST JSON 回显(触发 parseBody)
-app.post('/echo', (ctx) => { ctx.json(ctx.request.body); });
+// POST JSON 回显(按需读取请求体)
+app.post('/echo', async (ctx) => { ctx.json(await ctx.request.json()); });
 
 // 注册大量静态路由：用于对比"命中第 1 条"与"命中第 N 条"的 QPS 是否一致。
 // 基数树是 O(路径段数)，两者应基本相等；线性扫描会随路由数增大而变慢。
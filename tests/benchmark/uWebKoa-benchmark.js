@@ -23,6 +23,7 @@ app.get('/large', async (ctx) => {
 
 // 添加一个处理POST请求的路由
 app.post('/echo', async (ctx) => {
+  await ctx.parseBody();
   ctx.json(ctx.request.body);
 });
 
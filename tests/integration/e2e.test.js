@@ -26,7 +26,7 @@ beforeAll(async () => {
   app.get('/hello', ctx => { ctx.json({ msg: 'hi', q: ctx.request.query }); });
   app.get('/users/:id', ctx => { ctx.json({ id: ctx.request.params.id }); });
   app.get('/decode/:name', ctx => { ctx.json({ name: ctx.request.params.name }); });
-  app.post('/echo', ctx => { ctx.json({ received: ctx.request.body }); });
+  app.post('/echo', async ctx => { await ctx.parseBody(); ctx.json({ received: ctx.request.body }); });
   app.put('/put/:id', ctx => { ctx.json({ method: 'PUT', id: ctx.request.params.id }); });
   app.delete('/del/:id', ctx => { ctx.json({ method: 'DELETE', id: ctx.request.params.id }); });
   app.get('/go', ctx => { ctx.redirect('/hello'); });
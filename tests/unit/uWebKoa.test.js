@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import uWebKoa from '@/uWebKoa.js';
+import uWebKoa, { Router, verifyHmac } from '@/uWebKoa.js';
 
 // 模拟 uWebSockets.js
 vi.mock('uWebSockets.js', () => {
@@ -54,6 +54,7 @@ function createMockRes() {
     writeStatus: vi.fn(),
     writeHeader: vi.fn(),
     end: vi.fn(),
+    endWithoutBody: vi.fn(),
     cork: vi.fn((cb) => cb()),
     getRemoteAddressAsText: () => Buffer.from('203.0.113.7'),
     sendFile: vi.fn()
@@ -198,8 +199,8 @@ describe('uWebKoa', () => {
     it('应该解析 JSON 请求体', async () => {
       let body;
 
-      app.post('/api', ctx => {
-        body = ctx.request.body;
+      app.post('/api', async ctx => {
+        body = await ctx.request.json();
         ctx.json({ success: true });
       });
 
@@ -257,7 +258,8 @@ describe('uWebKoa', () => {
     it('应该处理错误的JSON请求体', async () => {
       let body;
 
-      app.post('/api', ctx => {
+      app.post('/api', async ctx => {
+        await ctx.parseBody();
         body = ctx.request.body;
         ctx.json({ success: true });
       });
@@ -288,8 +290,8 @@ describe('uWebKoa', () => {
     it('应该解析URL编码表单数据', async () => {
       let body;
 
-      app.post('/form', ctx => {
-        body = ctx.request.body;
+      app.post('/form', async ctx => {
+        body = await ctx.request.form();
         ctx.json({ success: true });
       });
 
@@ -626,6 +628,2023 @@ describe('uWebKoa', () => {
     });
   });
 
+  describe('HTTP 方法全覆盖 (HEAD / OPTIONS / 405)', () => {
+    it('应该处理 PATCH 与 all() 路由', async () => {
+      const hits = [];
+      app.patch('/item/:id', ctx => { hits.push('patch'); ctx.json({ ok: true }); });
+      app.all('/any', ctx => { hits.push(ctx.method); ctx.json({ ok: true }); });
+      await app.handleRequest(createMockRes(), createMockReq('PATCH', '/item/1'));
+      await app.handleRequest(createMockRes(), createMockReq('PUT', '/any'));
+      await app.handleRequest(createMockRes(), createMockReq('DELETE', '/any'));
+      expect(hits).toEqual(['patch', 'PUT', 'DELETE']);
+    });
+
+    it('显式注册的方法优先于 all()', async () => {
+      let hit;
+      app.all('/x', ctx => { hit = 'all'; ctx.json({}); });
+      app.get('/x', ctx => { hit = 'get'; ctx.json({}); });
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/x'));
+      expect(hit).toBe('get');
+    });
+
+    it('GET 路由自动响应 HEAD，只写响应头不写响应体', async () => {
+      app.get('/doc', ctx => { ctx.json({ hello: 'world' }); });
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('HEAD', '/doc'));
+      expect(res.writeStatus).toHaveBeenCalledWith('200');
+      expect(res.writeHeader).toHaveBeenCalledWith('Content-Type', 'application/json');
+      expect(res.end).not.toHaveBeenCalled();
+      expect(res.endWithoutBody).toHaveBeenCalledWith(Buffer.byteLength('{"hello":"world"}'));
+    });
+
+    it('显式注册的 HEAD 路由优先于 GET', async () => {
+      let hit;
+      app.get('/doc', ctx => { hit = 'get'; ctx.json({}); });
+      app.head('/doc', ctx => { hit = 'head'; ctx.status = 204; });
+      await app.handleRequest(createMockRes(), createMockReq('HEAD', '/doc'));
+      expect(hit).toBe('head');
+    });
+
+    it('OPTIONS 自动以 204 + Allow 响应', async () => {
+      app.get('/users/:id', ctx => ctx.json({}));
+      app.put('/users/:id', ctx => ctx.json({}));
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('OPTIONS', '/users/1'));
+      expect(res.writeStatus).toHaveBeenCalledWith('204');
+      expect(res.writeHeader).toHaveBeenCalledWith('Allow', 'GET, PUT, HEAD, OPTIONS');
+    });
+
+    it('register() 可注册 OPTIONS 处理器覆盖自动响应', async () => {
+      app.get('/cors', ctx => ctx.json({}));
+      app.register('OPTIONS', '/cors', ctx => { ctx.set('Access-Control-Allow-Origin', '*'); ctx.status = 200; });
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('OPTIONS', '/cors'));
+      expect(res.writeStatus).toHaveBeenCalledWith('200');
+      expect(res.writeHeader).toHaveBeenCalledWith('Access-Control-Allow-Origin', '*');
+    });
+
+    it('路径存在但方法不匹配时返回 405 + Allow', async () => {
+      app.get('/only-get', ctx => ctx.json({}));
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('POST', '/only-get', { 'content-type': 'application/json' }));
+      expect(res.writeStatus).toHaveBeenCalledWith('405');
+      expect(res.writeHeader).toHaveBeenCalledWith('Allow', 'GET, HEAD, OPTIONS');
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ success: false, message: 'Method Not Allowed', code: 'METHOD_NOT_ALLOWED' }));
+    });
+
+    it('方法不匹配时仍会回溯到能处理该方法的参数路由', async () => {
+      let id;
+      app.get('/users/me', ctx => ctx.json({}));
+      app.delete('/users/:id', ctx => { id = ctx.request.params.id; ctx.status = 204; });
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('DELETE', '/users/me'));
+      expect(id).toBe('me');
+      expect(res.writeStatus).toHaveBeenCalledWith('204');
+    });
+
+    it('405 之前后续中间件仍有机会处理请求', async () => {
+      app.get('/fallback', ctx => ctx.json({}));
+      app.use(ctx => { ctx.body = 'handled later'; });
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('PUT', '/fallback', { 'content-type': 'application/json' }));
+      expect(res.writeStatus).toHaveBeenCalledWith('200');
+    });
+  });
+
+  describe('Router 可挂载路由器', () => {
+    it('带前缀的路由挂载后可被命中', async () => {
+      let id;
+      const router = new Router({ prefix: '/api' });
+      router.get('/users/:id', ctx => { id = ctx.request.params.id; ctx.json({ ok: true }); });
+      app.use(router.routes());
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/api/users/42'));
+      expect(id).toBe('42');
+      expect(res.writeStatus).toHaveBeenCalledWith('200');
+    });
+
+    it('挂载不会向中间件链追加额外中间件(只挂一次路由分发)', () => {
+      const a = new Router();
+      a.get('/a', ctx => ctx.json({}));
+      const b = new Router();
+      b.get('/b', ctx => ctx.json({}));
+      app.use(a.routes()).use(b.routes());
+      expect(app.middlewares.length).toBe(1);
+    });
+
+    it('作用域中间件只作用于本路由器的路由', async () => {
+      const calls = [];
+      const router = new Router({ prefix: '/admin' });
+      router.use(async (ctx, next) => { calls.push(ctx.url); await next(); });
+      router.get('/panel', ctx => ctx.json({}));
+      app.use(router.routes());
+      app.get('/public', ctx => ctx.json({}));
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/admin/panel'));
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/public'));
+      expect(calls).toEqual(['/admin/panel']);
+    });
+
+    it('支持嵌套：父路由器中间件先于子路由器中间件执行', async () => {
+      const order = [];
+      const child = new Router();
+      child.use(async (ctx, next) => { order.push('child'); await next(); });
+      child.get('/items', ctx => { order.push('handler'); ctx.json({}); });
+      const parent = new Router({ prefix: '/api' });
+      parent.use(async (ctx, next) => { order.push('parent'); await next(); });
+      parent.use('/v1', child);
+      app.use(parent.routes());
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/api/v1/items'));
+      expect(order).toEqual(['parent', 'child', 'handler']);
+    });
+
+    it('前缀与根路径拼接', () => {
+      const router = new Router({ prefix: '/api/' });
+      router.get('/', ctx => ctx.json({}));
+      router.options('/x', ctx => ctx.json({}));
+      expect(router.flatten().map(r => `${r.method} ${r.pattern}`)).toEqual(['GET /api', 'OPTIONS /api/x']);
+    });
+
+    it('Router.use 拒绝非法参数', () => {
+      const router = new Router();
+      expect(() => router.use('/v1', () => {})).toThrow();
+      expect(() => router.use(123)).toThrow(TypeError);
+    });
+  });
+
+  describe('命名路由与反向生成 URL', () => {
+    it('app.url 按名字生成路径并编码参数', () => {
+      app.get('user', '/users/:id', ctx => ctx.json({}));
+      app.get('post', '/users/:uid/posts/:pid', ctx => ctx.json({}));
+      expect(app.url('user', { id: 42 })).toBe('/users/42');
+      expect(app.url('user', { id: 'a b/c' })).toBe('/users/a%20b%2Fc');
+      expect(app.url('post', { uid: 1, pid: 2 })).toBe('/users/1/posts/2');
+    });
+
+    it('命名路由仍可正常匹配', async () => {
+      let id;
+      app.get('user', '/users/:id', ctx => { id = ctx.request.params.id; ctx.json({}); });
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/users/5'));
+      expect(id).toBe('5');
+    });
+
+    it('支持通配符与查询参数', () => {
+      app.get('files', '/files/*', ctx => ctx.json({}));
+      expect(app.url('files')).toBe('/files');
+      expect(app.url('files', { '*': 'a b/c.txt' })).toBe('/files/a%20b/c.txt');
+      expect(app.url('files', {}, { query: { tag: ['x', 'y'], q: 'a b' } })).toBe('/files?tag=x&tag=y&q=a+b');
+      expect(app.url('files', {}, { query: '?raw=1' })).toBe('/files?raw=1');
+    });
+
+    it('缺少参数或未知路由名时抛错', () => {
+      app.get('user', '/users/:id', ctx => ctx.json({}));
+      expect(() => app.url('user')).toThrow(/id/);
+      expect(() => app.url('nope')).toThrow(/nope/);
+    });
+
+    it('同名路由指向不同模式时抛错', () => {
+      app.get('dup', '/a', ctx => ctx.json({}));
+      app.head('dup', '/a', ctx => ctx.json({}));
+      expect(() => app.get('dup', '/b', ctx => ctx.json({}))).toThrow(/dup/);
+    });
+
+    it('Router 上的命名路由带上前缀', () => {
+      const router = new Router({ prefix: '/api' });
+      router.get('item', '/items/:id', ctx => ctx.json({}));
+      app.use(router.routes());
+      expect(app.url('item', { id: 3 })).toBe('/api/items/3');
+    });
+
+    it('ctx.urlFor 与 ctx.redirect 支持路由名', async () => {
+      app.get('login', '/login', ctx => ctx.json({}));
+      app.get('user', '/users/:id', ctx => ctx.json({}));
+      let link;
+      app.get('/go', ctx => { link = ctx.urlFor('user', { id: 9 }); ctx.redirect('user', { id: 9 }, 301); });
+      app.get('/out', ctx => { ctx.redirect('login'); });
+
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/go'));
+      expect(link).toBe('/users/9');
+      expect(res.writeStatus).toHaveBeenCalledWith('301');
+      expect(res.writeHeader).toHaveBeenCalledWith('Location', '/users/9');
+
+      const res2 = createMockRes();
+      await app.handleRequest(res2, createMockReq('GET', '/out'));
+      expect(res2.writeStatus).toHaveBeenCalledWith('302');
+      expect(res2.writeHeader).toHaveBeenCalledWith('Location', '/login');
+    });
+  });
+
+  describe('参数约束 / 可选参数 / 具名通配符', () => {
+    const hit = async (a, url, method = 'GET') => {
+      const res = createMockRes();
+      await a.handleRequest(res, createMockReq(method, url));
+      return res;
+    };
+
+    it('正则约束不满足时不匹配', async () => {
+      let id;
+      app.get('/users/:id(\\d+)', ctx => { id = ctx.request.params.id; ctx.json({}); });
+      await hit(app, '/users/42');
+      expect(id).toBe('42');
+      const res = await hit(app, '/users/abc');
+      expect(res.writeStatus).toHaveBeenCalledWith('404');
+    });
+
+    it('同一层的多个参数子节点按注册顺序尝试', async () => {
+      const seen = [];
+      app.get('/users/:id(\\d+)', ctx => { seen.push(['id', ctx.request.params]); ctx.json({}); });
+      app.get('/users/:slug', ctx => { seen.push(['slug', ctx.request.params]); ctx.json({}); });
+      await hit(app, '/users/7');
+      await hit(app, '/users/alice');
+      expect(seen).toEqual([['id', { id: '7' }], ['slug', { slug: 'alice' }]]);
+    });
+
+    it('参数子树不匹配时回溯到下一个参数子节点', async () => {
+      let params;
+      app.get('/a/:x/edit', ctx => ctx.json({}));
+      app.get('/a/:y/view', ctx => { params = ctx.request.params; ctx.json({}); });
+      await hit(app, '/a/1/view');
+      expect(params).toEqual({ y: '1' });
+    });
+
+    it('静态段仍优先于参数段', async () => {
+      let which;
+      app.get('/users/:id', ctx => { which = 'param'; ctx.json({}); });
+      app.get('/users/me', ctx => { which = 'static'; ctx.json({}); });
+      await hit(app, '/users/me');
+      expect(which).toBe('static');
+    });
+
+    it('可选参数同时匹配有无该段', async () => {
+      const seen = [];
+      app.get('/posts/:page?', ctx => { seen.push(ctx.request.params); ctx.json({}); });
+      await hit(app, '/posts');
+      await hit(app, '/posts/3');
+      expect(seen).toEqual([{}, { page: '3' }]);
+    });
+
+    it('可选参数可带约束', async () => {
+      app.get('/archive/:year(\\d{4})?', ctx => ctx.json({}));
+      expect((await hit(app, '/archive')).writeStatus).toHaveBeenCalledWith('200');
+      expect((await hit(app, '/archive/2024')).writeStatus).toHaveBeenCalledWith('200');
+      expect((await hit(app, '/archive/24')).writeStatus).toHaveBeenCalledWith('404');
+    });
+
+    it('具名通配符把剩余路径写入 params', async () => {
+      const seen = [];
+      app.get('/files/*path', ctx => { seen.push(ctx.params.path); ctx.json({}); });
+      await hit(app, '/files/a/b%20c.txt');
+      await hit(app, '/files');
+      expect(seen).toEqual(['a/b c.txt', '']);
+    });
+
+    it('参数优先于通配符', async () => {
+      let which;
+      app.get('/x/*rest', ctx => { which = 'wild'; ctx.json({}); });
+      app.get('/x/:id', ctx => { which = 'param'; ctx.json({}); });
+      await hit(app, '/x/1');
+      expect(which).toBe('param');
+      await hit(app, '/x/1/2');
+      expect(which).toBe('wild');
+    });
+
+    it('app.url 支持约束、可选参数与具名通配符', () => {
+      app.get('user', '/users/:id(\\d+)', ctx => ctx.json({}));
+      app.get('posts', '/posts/:page?', ctx => ctx.json({}));
+      app.get('file', '/files/*path', ctx => ctx.json({}));
+      expect(app.url('user', { id: 5 })).toBe('/users/5');
+      expect(() => app.url('user', { id: 'x' })).toThrow(/约束/);
+      expect(app.url('posts')).toBe('/posts');
+      expect(app.url('posts', { page: 2 })).toBe('/posts/2');
+      expect(app.url('file', { path: 'a/b c' })).toBe('/files/a/b%20c');
+    });
+
+    it('无效的参数段注册时抛错', () => {
+      expect(() => app.get('/bad/:', ctx => ctx.json({}))).toThrow();
+    });
+  });
+
+  describe('路由冲突检测', () => {
+    it('重复注册同一方法与模式时抛错并给出两个模式', () => {
+      app.get('/users/:id', ctx => ctx.json({}));
+      expect(() => app.get('/users/:id', ctx => ctx.json({}))).toThrow('GET /users/:id');
+      app.post('/users/:id', ctx => ctx.json({})); // 不同方法不冲突
+    });
+
+    it('可选参数展开后与已有路由重复时抛错', () => {
+      app.get('/posts', ctx => ctx.json({}));
+      expect(() => app.get('/posts/:page?', ctx => ctx.json({}))).toThrow(/\/posts\/:page\? .*\/posts/);
+    });
+
+    it('仅参数名不同且同一方法会被遮蔽时视为歧义', () => {
+      app.get('/users/:id', ctx => ctx.json({}));
+      let err;
+      try { app.get('/users/:userId', ctx => ctx.json({})); } catch (e) { err = e; }
+      expect(err.code).toBe('ROUTE_CONFLICT');
+      expect(err.message).toContain('/users/:userId');
+      expect(err.message).toContain('/users/:id');
+      // all() 注册的路由遮蔽任何方法；HEAD 会回落到已注册的 GET
+      app.all('/items/:id', ctx => ctx.json({}));
+      expect(() => app.post('/items/:itemId', ctx => ctx.json({}))).toThrow(/\/items\/:id/);
+      expect(() => app.head('/users/:uid', ctx => ctx.json({}))).toThrow(/GET \/users\/:id/);
+    });
+
+    it('先注册的无约束参数遮蔽后注册的带约束参数', () => {
+      app.get('/u/:slug', ctx => ctx.json({}));
+      expect(() => app.get('/u/:id(\\d+)', ctx => ctx.json({}))).toThrow(/GET \/u\/:id\(\\d\+\) 会被已注册的 GET \/u\/:slug 遮蔽/);
+      // 先带约束、后无约束：数字仍走 :id，其它值走 :slug
+      app.get('/v/:id(\\d+)', ctx => ctx.json({}));
+      expect(() => app.get('/v/:slug', ctx => ctx.json({}))).not.toThrow();
+      // 先被尝试的子树里的通配符同样会遮蔽
+      app.get('/w/:x/*', ctx => ctx.json({}));
+      expect(() => app.get('/w/:y/edit', ctx => ctx.json({}))).toThrow(/\/w\/:x\/\*/);
+    });
+
+    it('冲突时不会留下注册了一半的路由', async () => {
+      app.get('/a/:x', ctx => ctx.json({ first: true }));
+      expect(() => app.get('/a/:y?', ctx => ctx.json({ second: true }))).toThrow(/\/a\/:y\?/);
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/a'));
+      expect(res.writeStatus).toHaveBeenCalledWith('404');
+      expect(app.routes().map(r => r.pattern)).toEqual(['/a/:x']);
+      expect(app.printRoutes()).toBe(['/', '└── a', '    └── :x (GET)'].join('\n'));
+    });
+
+    it('参数名不同但末端或方法不同时不算歧义，回溯可同时命中', async () => {
+      const seen = [];
+      app.get('/users/:id', ctx => { seen.push(ctx.request.params); ctx.json({}); });
+      expect(() => app.get('/users/:userId/posts', ctx => { seen.push(ctx.request.params); ctx.json({}); })).not.toThrow();
+      expect(() => app.delete('/users/:uid', ctx => { seen.push(ctx.request.params); ctx.json({}); })).not.toThrow();
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/users/1'));
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/users/2/posts'));
+      await app.handleRequest(createMockRes(), createMockReq('DELETE', '/users/3'));
+      expect(seen).toEqual([{ id: '1' }, { userId: '2' }, { uid: '3' }]);
+    });
+
+    it('约束不同的参数名不算歧义', () => {
+      app.get('/users/:id(\\d+)', ctx => ctx.json({}));
+      expect(() => app.get('/users/:slug', ctx => ctx.json({}))).not.toThrow();
+    });
+
+    it('同一位置不同通配符名视为歧义', () => {
+      app.get('/files/*path', ctx => ctx.json({}));
+      expect(() => app.post('/files/*rest', ctx => ctx.json({}))).toThrow(/\/files\/\*path/);
+    });
+
+    it('重复挂载同一个 Router 时抛错', () => {
+      const router = new Router();
+      router.get('/r', ctx => ctx.json({}));
+      app.use(router.routes());
+      expect(() => app.use(router.routes())).toThrow(/GET \/r/);
+    });
+
+    it('strictRoutes: false 时只警告，后注册的覆盖先注册的', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+      const a = new uWebKoa({ disableDefaultErrorHandler: true, strictRoutes: false });
+      let which;
+      a.get('/x', ctx => { which = 1; ctx.json({}); });
+      a.get('/x', ctx => { which = 2; ctx.json({}); });
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('GET /x'));
+      await a.handleRequest(createMockRes(), createMockReq('GET', '/x'));
+      expect(which).toBe(2);
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('param() 参数预加载器', () => {
+    it('命中含该参数的路由时先于处理器执行一次', async () => {
+      const order = [];
+      app.param('userId', async (id, ctx, next) => {
+        order.push(`load:${id}`);
+        ctx.state.user = { id };
+        await next();
+      });
+      app.get('/users/:userId', ctx => { order.push('handler'); ctx.json(ctx.state.user); });
+      app.get('/other', ctx => { order.push('other'); ctx.json({}); });
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/users/7'));
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/other'));
+      expect(order).toEqual(['load:7', 'handler', 'other']);
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ id: '7' }));
+    });
+
+    it('预加载器可集中以 404 拒绝', async () => {
+      const handler = vi.fn();
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      const a = new uWebKoa();
+      a.param('id', (id, ctx) => { ctx.throw(404, '不存在'); });
+      a.get('/items/:id', handler);
+      const res = createMockRes();
+      await a.handleRequest(res, createMockReq('GET', '/items/1'));
+      expect(res.writeStatus).toHaveBeenCalledWith('404');
+      expect(handler).not.toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it('多个参数按路径顺序执行', async () => {
+      const order = [];
+      app.param('pid', async (v, ctx, next) => { order.push('pid'); await next(); });
+      app.param('uid', async (v, ctx, next) => { order.push('uid'); await next(); });
+      app.get('/u/:uid/p/:pid', ctx => { order.push('handler'); ctx.json({}); });
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/u/1/p/2'));
+      expect(order).toEqual(['uid', 'pid', 'handler']);
+    });
+
+    it('Router.param 只作用于本路由器中含该参数的路由', async () => {
+      const loaded = [];
+      const router = new Router({ prefix: '/api' });
+      router.param('id', async (id, ctx, next) => { loaded.push(id); await next(); });
+      router.get('/items/:id', ctx => ctx.json({}));
+      router.get('/plain', ctx => ctx.json({}));
+      const child = new Router();
+      child.get('/:id', ctx => ctx.json({}));
+      router.use('/nested', child);
+      app.use(router.routes());
+      app.get('/outside/:id', ctx => ctx.json({}));
+      for (const url of ['/api/items/1', '/api/plain', '/api/nested/2', '/outside/3']) {
+        await app.handleRequest(createMockRes(), createMockReq('GET', url));
+      }
+      expect(loaded).toEqual(['1', '2']);
+    });
+
+    it('可选参数缺省时不执行预加载器', async () => {
+      const fn = vi.fn();
+      app.param('page', fn);
+      app.get('/list/:page?', ctx => ctx.json({}));
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/list'));
+      expect(fn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('路由表查询', () => {
+    it('app.routes() 列出 HTTP 与 WebSocket 路由', () => {
+      const mw = async (ctx, next) => next();
+      app.get('user', '/users/:id', mw, ctx => ctx.json({}));
+      app.all('/any', ctx => ctx.json({}));
+      const router = new Router({ prefix: '/api' });
+      router.use(mw);
+      router.post('/items', ctx => ctx.json({}));
+      app.use(router.routes());
+      app.wsUse(mw);
+      app.ws('/chat/:room', { upgrade: mw, message() { } });
+      expect(app.routes()).toEqual([
+        { method: 'GET', pattern: '/users/:id', host: null, name: 'user', version: null, middlewareCount: 2, meta: {} },
+        { method: '*', pattern: '/any', host: null, name: null, version: null, middlewareCount: 1, meta: {} },
+        { method: 'POST', pattern: '/api/items', host: null, name: null, version: null, middlewareCount: 2, meta: {} },
+        { method: 'WS', pattern: '/chat/:room', host: null, name: null, version: null, middlewareCount: 2, meta: {} },
+      ]);
+    });
+
+    it('可选参数只记一条原始模式', () => {
+      app.get('/posts/:page?', ctx => ctx.json({}));
+      expect(app.routes().map(r => r.pattern)).toEqual(['/posts/:page?']);
+    });
+
+    it('app.printRoutes() 输出路由树', () => {
+      app.get('/users', ctx => ctx.json({}));
+      app.post('/users', ctx => ctx.json({}));
+      app.get('/users/:id(\\d+)', ctx => ctx.json({}));
+      app.get('/files/*path', ctx => ctx.json({}));
+      app.ws('/chat', {});
+      expect(app.printRoutes()).toBe([
+        '/',
+        '├── users (GET, POST)',
+        '│   └── :id(\\d+) (GET)',
+        '└── files',
+        '    └── *path (GET)',
+        'WS /chat',
+      ].join('\n'));
+    });
+
+    it('printRoutes() 在 host 标题下输出各 Host 的路由树', () => {
+      app.get('/', ctx => ctx.json({}));
+      app.get('/items/:id', { host: ':tenant.example.com' }, ctx => ctx.json({}));
+      app.get('/docs', { host: /^docs\./ }, ctx => ctx.json({}));
+      expect(app.printRoutes()).toBe([
+        '/ (GET)',
+        'host :tenant.example.com',
+        '/',
+        '└── items',
+        '    └── :id (GET)',
+        'host /^docs\\./',
+        '/',
+        '└── docs (GET)',
+      ].join('\n'));
+    });
+  });
+
+  describe('结尾斜杠与大小写模式', () => {
+    const make = (opts) => new uWebKoa({ disableDefaultErrorHandler: true, ...opts });
+    const status = async (a, url, method = 'GET', query = '') => {
+      const res = createMockRes();
+      await a.handleRequest(res, createMockReq(method, url, {}, query));
+      return res;
+    };
+
+    it('默认宽松：结尾斜杠不影响匹配，且区分大小写', async () => {
+      const a = make();
+      a.get('/users', ctx => ctx.json({}));
+      expect((await status(a, '/users/')).writeStatus).toHaveBeenCalledWith('200');
+      expect((await status(a, '/Users')).writeStatus).toHaveBeenCalledWith('404');
+    });
+
+    it('strict: 结尾斜杠有意义', async () => {
+      const a = make({ strict: true });
+      let which;
+      a.get('/users', ctx => { which = 'no-slash'; ctx.json({}); });
+      a.get('/users/', ctx => { which = 'slash'; ctx.json({}); });
+      a.get('/only', ctx => ctx.json({}));
+      await status(a, '/users/');
+      expect(which).toBe('slash');
+      await status(a, '/users');
+      expect(which).toBe('no-slash');
+      expect((await status(a, '/only/')).writeStatus).toHaveBeenCalledWith('404');
+    });
+
+    it('strict: 结尾空段不会被当作参数值', async () => {
+      const a = make({ strict: true });
+      a.get('/users/:id', ctx => ctx.json({}));
+      expect((await status(a, '/users/')).writeStatus).toHaveBeenCalledWith('404');
+    });
+
+    it('caseSensitive: false 时静态段忽略大小写，参数保留原值', async () => {
+      const a = make({ caseSensitive: false });
+      let id;
+      a.get('/Users/:id', ctx => { id = ctx.params.id; ctx.json({}); });
+      await status(a, '/USERS/AbC');
+      expect(id).toBe('AbC');
+    });
+
+    it('redirectTrailingSlash + strict: 切换斜杠后命中则 301 跳转并保留查询串', async () => {
+      const a = make({ strict: true, redirectTrailingSlash: true });
+      a.get('/docs/', ctx => ctx.json({}));
+      a.post('/items', ctx => ctx.json({}));
+      const res = await status(a, '/docs', 'GET', 'a=1');
+      expect(res.writeStatus).toHaveBeenCalledWith('301');
+      expect(res.writeHeader).toHaveBeenCalledWith('Location', '/docs/?a=1');
+      const res2 = await status(a, '/items/', 'POST');
+      expect(res2.writeStatus).toHaveBeenCalledWith('308');
+      expect(res2.writeHeader).toHaveBeenCalledWith('Location', '/items');
+    });
+
+    it('redirectTrailingSlash 非 strict: 命中但斜杠与注册形式不一致时跳转到规范形式', async () => {
+      const a = make({ redirectTrailingSlash: true });
+      a.get('/users', ctx => ctx.json({}));
+      const res = await status(a, '/users/');
+      expect(res.writeStatus).toHaveBeenCalledWith('301');
+      expect(res.writeHeader).toHaveBeenCalledWith('Location', '/users');
+      expect((await status(a, '/users')).writeStatus).toHaveBeenCalledWith('200');
+    });
+
+    it('redirectTrailingSlash + strict: Host 专属路由与虚拟主机同样跳转', async () => {
+      const a = make({ strict: true, redirectTrailingSlash: true });
+      a.get('/docs/', { host: 'docs.example.com' }, ctx => ctx.json({}));
+      const site = make({ strict: true, redirectTrailingSlash: true });
+      site.get('/blog/', ctx => ctx.json({}));
+      a.vhost('blog.example.com', site);
+      const get = async (url, host) => {
+        const res = createMockRes();
+        await a.handleRequest(res, createMockReq('GET', url, { host }));
+        return res;
+      };
+      const res = await get('/docs', 'docs.example.com');
+      expect(res.writeStatus).toHaveBeenCalledWith('301');
+      expect(res.writeHeader).toHaveBeenCalledWith('Location', '/docs/');
+      expect((await get('/docs', 'other.example.com')).writeStatus).toHaveBeenCalledWith('404');
+      const blog = await get('/blog', 'blog.example.com');
+      expect(blog.writeHeader).toHaveBeenCalledWith('Location', '/blog/');
+    });
+
+    it('未开启 redirectTrailingSlash 时不跳转', async () => {
+      const a = make({ strict: true });
+      a.get('/docs/', ctx => ctx.json({}));
+      expect((await status(a, '/docs')).writeStatus).toHaveBeenCalledWith('404');
+    });
+  });
+
+  describe('Host 路由与虚拟主机', () => {
+    const get = async (a, url, host) => {
+      const res = createMockRes();
+      await a.handleRequest(res, createMockReq('GET', url, { host }));
+      return res;
+    };
+
+    it('ctx.host / ctx.hostname 去掉端口', () => {
+      const ctx = app.createContext(createMockRes(), createMockReq('GET', '/', { host: 'api.example.com:8080' }));
+      expect(ctx.host).toBe('api.example.com:8080');
+      expect(ctx.hostname).toBe('api.example.com');
+      const v6 = app.createContext(createMockRes(), createMockReq('GET', '/', { host: '[::1]:3000' }));
+      expect(v6.hostname).toBe('[::1]');
+    });
+
+    it('路由可按 Host 约束，并把主机参数并入 ctx.params', async () => {
+      const seen = [];
+      app.get('/items/:id', { host: ':tenant.example.com' }, ctx => { seen.push(['tenant', ctx.params]); ctx.json({}); });
+      app.get('/items/:id', ctx => { seen.push(['default', ctx.params]); ctx.json({}); });
+      await get(app, '/items/1', 'acme.example.com:3000');
+      await get(app, '/items/2', 'localhost');
+      expect(seen).toEqual([
+        ['tenant', { tenant: 'acme', id: '1' }],
+        ['default', { id: '2' }],
+      ]);
+    });
+
+    it('Host 不匹配且没有默认路由时 404', async () => {
+      app.get('/admin', { host: 'admin.example.com' }, ctx => ctx.json({}));
+      expect((await get(app, '/admin', 'ADMIN.example.com')).writeStatus).toHaveBeenCalledWith('200');
+      expect((await get(app, '/admin', 'www.example.com')).writeStatus).toHaveBeenCalledWith('404');
+    });
+
+    it('支持 RegExp Host 模式(命名分组作为参数)', async () => {
+      let params;
+      app.get('/', { host: /^(?<region>[a-z]+)\.api\.test$/ }, ctx => { params = ctx.params; ctx.json({}); });
+      await get(app, '/', 'eu.api.test');
+      expect(params).toEqual({ region: 'eu' });
+    });
+
+    it('Router 的 host 选项作用于其全部路由(含嵌套子路由器)', async () => {
+      let hit = 0;
+      const child = new Router();
+      child.get('/x', ctx => { hit++; ctx.json({}); });
+      const router = new Router({ prefix: '/api', host: 'api.example.com' });
+      router.use('/v1', child);
+      app.use(router.routes());
+      await get(app, '/api/v1/x', 'api.example.com');
+      expect((await get(app, '/api/v1/x', 'other.example.com')).writeStatus).toHaveBeenCalledWith('404');
+      expect(hit).toBe(1);
+      expect(app.routes()[0].host).toBe('api.example.com');
+    });
+
+    it('不同 Host 上的同名同方法路由不冲突', () => {
+      app.get('/', { host: 'a.example.com' }, ctx => ctx.json({}));
+      app.get('/', { host: 'b.example.com' }, ctx => ctx.json({}));
+      expect(() => app.get('/', ctx => ctx.json({}))).not.toThrow();
+      expect(app.routes().length).toBe(3);
+    });
+
+    it('app.vhost 按 Host 把请求交给子应用', async () => {
+      const admin = new uWebKoa({ disableDefaultErrorHandler: true });
+      admin.context = { area: 'admin' };
+      let seen;
+      admin.get('/users/:id', ctx => { seen = { params: ctx.params, area: ctx.area, app: ctx.app }; ctx.json({}); });
+      const mainHandler = vi.fn(ctx => ctx.json({}));
+      app.vhost(':tenant.admin.example.com', admin);
+      app.get('/users/:id', mainHandler);
+
+      await get(app, '/users/9', 'acme.admin.example.com');
+      expect(seen.params).toEqual({ tenant: 'acme', id: '9' });
+      expect(seen.area).toBe('admin');
+      expect(seen.app).toBe(admin);
+      expect(mainHandler).not.toHaveBeenCalled();
+
+      await get(app, '/users/9', 'www.example.com');
+      expect(mainHandler).toHaveBeenCalledTimes(1);
+    });
+
+    it('vhost 子应用的错误由子应用自己的错误处理器处理', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      const sub = new uWebKoa();
+      sub.use(ctx => ctx.throw(418, 'teapot'));
+      app.vhost('tea.example.com', sub);
+      expect((await get(app, '/', 'tea.example.com')).writeStatus).toHaveBeenCalledWith('418');
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('路由元数据与命中路由信息', () => {
+    it('分发后 ctx.routePath / routeName / routeMeta 可用于日志与指标', async () => {
+      const logs = [];
+      app.use(async (ctx, next) => {
+        await next();
+        logs.push([ctx.routePath, ctx.routeName, ctx.routeMeta]);
+      });
+      app.get('/users/:id', { name: 'user', meta: { auth: 'admin', rateLimit: 10 } }, ctx => ctx.json({}));
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/users/1'));
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/missing'));
+      expect(logs).toEqual([
+        ['/users/:id', 'user', { auth: 'admin', rateLimit: 10 }],
+        [null, null, {}],
+      ]);
+    });
+
+    it('路由前注册的中间件也能读取命中路由的元数据(用于鉴权)', async () => {
+      const handler = vi.fn(ctx => ctx.json({}));
+      app.use(async (ctx, next) => {
+        if (ctx.routeMeta.auth === 'admin' && ctx.get('x-role') !== 'admin') {
+          ctx.status = 403;
+          return;
+        }
+        await next();
+      });
+      app.get('/admin', { meta: { auth: 'admin' } }, handler);
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/admin'));
+      expect(res.writeStatus).toHaveBeenCalledWith('403');
+      expect(handler).not.toHaveBeenCalled();
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/admin', { 'x-role': 'admin' }));
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('提前读取路由信息时分发复用同一次匹配', async () => {
+      const spy = vi.spyOn(app._router, 'find');
+      app.use(async (ctx, next) => { void ctx.routePath; void ctx.routeMeta; await next(); });
+      app.get('/x', ctx => ctx.json({}));
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/x'));
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('HEAD 回落到 GET 时返回 GET 路由的信息', async () => {
+      let path;
+      app.get('/doc', { name: 'doc' }, ctx => { path = ctx.routePath; ctx.json({}); });
+      await app.handleRequest(createMockRes(), createMockReq('HEAD', '/doc'));
+      expect(path).toBe('/doc');
+    });
+
+    it('元数据出现在 app.routes() 中，Router 路由同样支持', () => {
+      const router = new Router({ prefix: '/api' });
+      router.get('/items', { name: 'items', meta: { cache: 60 } }, ctx => ctx.json({}));
+      app.use(router.routes());
+      expect(app.routes()[0]).toMatchObject({ pattern: '/api/items', name: 'items', meta: { cache: 60 } });
+      expect(app.url('items')).toBe('/api/items');
+    });
+  });
+
+  describe('运行时删除与替换路由', () => {
+    const request = async (method, url) => {
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq(method, url));
+      return res;
+    };
+
+    it('removeRoute 删除后路径 404，且释放路由名与路由表记录', async () => {
+      app.get('user', '/users/:id', ctx => ctx.json({}));
+      app.post('/users/:id', ctx => ctx.json({}));
+      expect(app.removeRoute('get', '/users/:id')).toBe(true);
+      expect(app.removeRoute('GET', '/users/:id')).toBe(false);
+
+      expect((await request('GET', '/users/1')).writeStatus).toHaveBeenCalledWith('405');
+      expect((await request('POST', '/users/1')).writeStatus).toHaveBeenCalledWith('200');
+      expect(app.routes().map(r => r.method)).toEqual(['POST']);
+      expect(() => app.url('user', { id: 1 })).toThrow();
+    });
+
+    it('removeRoute 剪除变空的节点，不影响兄弟路由', async () => {
+      app.get('/a/:id/edit', ctx => ctx.json({}));
+      app.get('/a/:id', ctx => ctx.json({}));
+      app.get('/files/*path', ctx => ctx.json({}));
+      app.removeRoute('GET', '/a/:id/edit');
+      app.removeRoute('GET', '/files/*path');
+
+      expect((await request('GET', '/a/1')).writeStatus).toHaveBeenCalledWith('200');
+      expect((await request('GET', '/a/1/edit')).writeStatus).toHaveBeenCalledWith('404');
+      expect((await request('GET', '/files/x')).writeStatus).toHaveBeenCalledWith('404');
+      expect(app.printRoutes()).not.toContain('files');
+      expect(app.printRoutes()).not.toContain('edit');
+    });
+
+    it('removeRoute 可删除带 Host 约束的路由与可选参数展开的全部变体', async () => {
+      app.get('/items/:id', { host: 'a.example.com' }, ctx => ctx.json({}));
+      app.get('/list/:page?', ctx => ctx.json({}));
+      expect(app.removeRoute('GET', '/items/:id')).toBe(false);
+      expect(app.removeRoute('GET', '/items/:id', { host: 'a.example.com' })).toBe(true);
+      expect(app.removeRoute('GET', '/list/:page?')).toBe(true);
+      expect((await request('GET', '/list')).writeStatus).toHaveBeenCalledWith('404');
+      expect((await request('GET', '/list/2')).writeStatus).toHaveBeenCalledWith('404');
+      expect(app.routes()).toEqual([]);
+    });
+
+    it('replaceRoute 新请求走新处理器，并沿用原 name / meta', async () => {
+      const v1 = vi.fn(ctx => ctx.json({ v: 1 }));
+      const v2 = vi.fn(ctx => ctx.json({ v: 2 }));
+      app.get('search', '/search', { meta: { cache: true } }, v1);
+      app.replaceRoute('GET', '/search', v2);
+
+      await request('GET', '/search');
+      expect(v1).not.toHaveBeenCalled();
+      expect(v2).toHaveBeenCalledTimes(1);
+      expect(app.routes()[0]).toMatchObject({ name: 'search', meta: { cache: true }, middlewareCount: 1 });
+      expect(app.url('search')).toBe('/search');
+    });
+
+    it('处理中的请求在旧处理器链上执行完', async () => {
+      const order = [];
+      let release, started;
+      const gate = new Promise(r => { release = r; });
+      const entered = new Promise(r => { started = r; });
+      app.get('/job',
+        async (ctx, next) => { order.push('old-a'); started(); await gate; await next(); },
+        ctx => { order.push('old-b'); ctx.json({}); });
+
+      const inFlight = request('GET', '/job');
+      await entered;
+      app.replaceRoute('GET', '/job', ctx => { order.push('new'); ctx.json({}); });
+      await request('GET', '/job');
+      release();
+      await inFlight;
+
+      expect(order).toEqual(['old-a', 'new', 'old-b']);
+    });
+
+    it('replaceRoute 保留分组与 Router 的作用域中间件', async () => {
+      const order = [];
+      const auth = async (ctx, next) => { order.push('auth'); await next(); };
+      app.group('/admin', [auth], r => r.get('/secret', ctx => { order.push('old'); ctx.json({}); }));
+      const router = new Router({ prefix: '/api' });
+      router.use(async (ctx, next) => { order.push('scope'); await next(); });
+      router.param('id', async (id, ctx, next) => { order.push(`param:${id}`); await next(); });
+      router.get('/items/:id', ctx => { order.push('old'); ctx.json({}); });
+      app.use(router.routes());
+
+      app.replaceRoute('GET', '/admin/secret', ctx => { order.push('new'); ctx.json({}); });
+      app.replaceRoute('GET', '/api/items/:id', ctx => { order.push('new'); ctx.json({}); });
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/admin/secret'));
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/api/items/7'));
+      expect(order).toEqual(['auth', 'new', 'scope', 'param:7', 'new']);
+      expect(app.routes().find(r => r.pattern === '/admin/secret').middlewareCount).toBe(2);
+    });
+
+    it('replaceRoute 替换不存在的路由时抛错', () => {
+      expect(() => app.replaceRoute('GET', '/nope', ctx => ctx.json({}))).toThrow('路由不存在');
+    });
+  });
+
+  describe('app.mount 挂载子应用', () => {
+    it('子应用看到去掉前缀的 url，originalUrl 保留原始 URL', async () => {
+      const admin = new uWebKoa({ disableDefaultErrorHandler: true });
+      let seen;
+      admin.get('/users/:id', ctx => { seen = [ctx.url, ctx.originalUrl, ctx.params, ctx.app]; ctx.json({}); });
+      admin.get('/', ctx => ctx.json({ home: true }));
+      app.mount('/admin', admin);
+
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/admin/users/7'));
+      expect(res.writeStatus).toHaveBeenCalledWith('200');
+      expect(seen).toEqual(['/users/7', '/admin/users/7', { id: '7' }, admin]);
+
+      const home = createMockRes();
+      await app.handleRequest(home, createMockReq('GET', '/admin'));
+      expect(home.end).toHaveBeenCalledWith(JSON.stringify({ home: true }));
+    });
+
+    it('只匹配完整的路径段，未命中时继续本应用后续中间件', async () => {
+      const admin = new uWebKoa({ disableDefaultErrorHandler: true });
+      const subHandler = vi.fn(ctx => ctx.json({}));
+      admin.use(subHandler);
+      app.mount('/admin/', admin);
+      app.get('/administrator', ctx => ctx.json({ main: true }));
+
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/administrator'));
+      expect(subHandler).not.toHaveBeenCalled();
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ main: true }));
+    });
+
+    it('子应用使用自己的中间件、context 与错误处理；外层中间件先执行且能看到原始 url', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      const order = [];
+      const sub = new uWebKoa();
+      sub.context = { area: 'api' };
+      sub.use(async (ctx, next) => { order.push(['sub', ctx.area]); await next(); });
+      sub.get('/fail', ctx => ctx.throw(418, 'teapot'));
+      app.use(async (ctx, next) => { await next(); order.push(['outer', ctx.url]); });
+      app.mount('/api', sub);
+
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/api/fail'));
+      expect(res.writeStatus).toHaveBeenCalledWith('418');
+      expect(order).toEqual([['sub', 'api'], ['outer', '/api/fail']]);
+      errorSpy.mockRestore();
+    });
+
+    it('支持多层嵌套挂载', async () => {
+      const inner = new uWebKoa({ disableDefaultErrorHandler: true });
+      const outer = new uWebKoa({ disableDefaultErrorHandler: true });
+      let seen;
+      inner.get('/ping', ctx => { seen = [ctx.url, ctx.originalUrl]; ctx.json({}); });
+      outer.mount('/v1', inner);
+      app.mount('/api', outer);
+
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/api/v1/ping'));
+      expect(seen).toEqual(['/ping', '/api/v1/ping']);
+    });
+
+    it('子应用的结尾斜杠跳转保留挂载前缀', async () => {
+      const inner = new uWebKoa({ disableDefaultErrorHandler: true, redirectTrailingSlash: true });
+      const strict = new uWebKoa({ disableDefaultErrorHandler: true, strict: true, redirectTrailingSlash: true });
+      inner.get('/users', ctx => ctx.json({}));
+      strict.get('/docs/', ctx => ctx.json({}));
+      const outer = new uWebKoa({ disableDefaultErrorHandler: true });
+      outer.mount('/v1', inner);
+      app.mount('/admin', outer);
+      app.mount('/s', strict);
+
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/admin/v1/users/', {}, 'page=2'));
+      expect(res.writeStatus).toHaveBeenCalledWith('301');
+      expect(res.writeHeader).toHaveBeenCalledWith('Location', '/admin/v1/users?page=2');
+
+      const res2 = createMockRes();
+      await app.handleRequest(res2, createMockReq('GET', '/s/docs'));
+      expect(res2.writeHeader).toHaveBeenCalledWith('Location', '/s/docs/');
+    });
+
+    it('子应用里的 urlFor 与命名重定向带上挂载前缀，父应用 routes() 列出挂载的路由', async () => {
+      const inner = new uWebKoa({ disableDefaultErrorHandler: true });
+      inner.get('user', '/users/:id', ctx => ctx.json({}));
+      inner.get('home', '/', ctx => ctx.json({}));
+      inner.get('/go', ctx => ctx.redirect('user', { id: 1 }));
+      let urls;
+      inner.get('/links', ctx => { urls = [ctx.urlFor('user', { id: 2 }), ctx.urlFor('home', {}, { query: { a: 1 } })]; ctx.json({}); });
+      inner.ws('/live', { open() { } });
+      const outer = new uWebKoa({ disableDefaultErrorHandler: true });
+      outer.mount('/v1', inner);
+      app.mount('/admin', outer);
+      app.get('/top', ctx => ctx.json({}));
+
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/admin/v1/go'));
+      expect(res.writeStatus).toHaveBeenCalledWith('302');
+      expect(res.writeHeader).toHaveBeenCalledWith('Location', '/admin/v1/users/1');
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/admin/v1/links'));
+      expect(urls).toEqual(['/admin/v1/users/2', '/admin/v1?a=1']);
+
+      expect(app.routes().map(r => `${r.method} ${r.pattern}`)).toEqual([
+        'GET /top', 'GET /admin/v1/users/:id', 'GET /admin/v1', 'GET /admin/v1/go', 'GET /admin/v1/links', 'WS /admin/v1/live',
+      ]);
+    });
+
+    it('不能把应用挂载到自身', () => {
+      expect(() => app.mount('/x', app)).toThrow();
+    });
+  });
+
+  describe('app.group 路由分组', () => {
+    it('组中间件前置到组内每个路由的处理器数组', async () => {
+      const order = [];
+      const auth = async (ctx, next) => { order.push('auth'); await next(); };
+      const audit = async (ctx, next) => { order.push('audit'); await next(); };
+      app.group('/admin', [auth, audit], (r) => {
+        r.get('/users', ctx => { order.push('users'); ctx.json({}); });
+        r.post('/users/:id', ctx => { order.push('post'); ctx.json({}); });
+      });
+
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/admin/users'));
+      await app.handleRequest(createMockRes(), createMockReq('POST', '/admin/users/1'));
+      expect(order).toEqual(['auth', 'audit', 'users', 'auth', 'audit', 'post']);
+      expect(app.routes().map(r => [r.method, r.pattern, r.middlewareCount])).toEqual([
+        ['GET', '/admin/users', 3],
+        ['POST', '/admin/users/:id', 3],
+      ]);
+    });
+
+    it('组中间件拒绝时路由处理器不执行，组外路由不受影响', async () => {
+      const handler = vi.fn(ctx => ctx.json({}));
+      app.group('/admin', [ctx => { ctx.status = 401; ctx.body = { error: 'nope' }; }], (r) => {
+        r.get('/secret', handler);
+      });
+      app.get('/public', ctx => ctx.json({ ok: true }));
+
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('GET', '/admin/secret'));
+      expect(res.writeStatus).toHaveBeenCalledWith('401');
+      expect(handler).not.toHaveBeenCalled();
+
+      const pub = createMockRes();
+      await app.handleRequest(pub, createMockReq('GET', '/public'));
+      expect(pub.writeStatus).toHaveBeenCalledWith('200');
+    });
+
+    it('支持嵌套分组、省略中间件与路由名/选项', async () => {
+      const order = [];
+      app.group('/api', [async (ctx, next) => { order.push('api'); await next(); }], (r) => {
+        r.group('/v1', [async (ctx, next) => { order.push('v1'); await next(); }], (v1) => {
+          v1.get('item', '/items/:id', { meta: { cache: true } }, ctx => { order.push('item'); ctx.json({}); });
+        });
+      });
+      app.group('/open', (r) => r.get('/ping', ctx => ctx.json({})));
+
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/api/v1/items/3'));
+      expect(order).toEqual(['api', 'v1', 'item']);
+      expect(app.url('item', { id: 3 })).toBe('/api/v1/items/3');
+      expect(app.routes().find(r => r.name === 'item').meta).toEqual({ cache: true });
+      expect(app.routes().some(r => r.pattern === '/open/ping')).toBe(true);
+    });
+
+    it('组中间件不是函数时抛错', () => {
+      expect(() => app.group('/x', ['nope'], () => { })).toThrow(TypeError);
+    });
+  });
+
+  describe('API 版本路由', () => {
+    const request = async (url, headers = {}, method = 'GET') => {
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq(method, url, headers));
+      return res;
+    };
+
+    beforeEach(() => {
+      app.get('/items', { version: '1.x' }, ctx => ctx.json({ v: 1 }));
+      app.get('/items', { version: '2.x' }, ctx => ctx.json({ v: 2 }));
+    });
+
+    it('按 Accept-Version 选择处理器并自动加 Vary', async () => {
+      const res = await request('/items', { 'accept-version': '2' });
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ v: 2 }));
+      expect(res.writeHeader).toHaveBeenCalledWith('Vary', 'Accept-Version, Accept');
+
+      const v1 = await request('/items', { 'accept-version': '1.4.2' });
+      expect(v1.end).toHaveBeenCalledWith(JSON.stringify({ v: 1 }));
+    });
+
+    it('Accept-Version 为范围时取有交集的最高版本', async () => {
+      app.get('/items', { version: '>=1.5 <2' }, ctx => ctx.json({ v: 1.5 }));
+      const body = async (range) => {
+        const res = await request('/items', { 'accept-version': range });
+        return res.writeStatus.mock.calls.some(c => c[0] === '406') ? 406 : JSON.parse(res.end.mock.calls[0][0]).v;
+      };
+      expect(await body('2.x')).toBe(2);
+      expect(await body('^2.0.0')).toBe(2);
+      expect(await body('~1.2')).toBe(1);
+      expect(await body('>=1.6 <2')).toBe(1); // 1.x 与 >=1.5 <2 上界相同，取先注册的
+      expect(await body('>=1')).toBe(2);
+      expect(await body('1.x || 3.x')).toBe(1);
+      expect(await body('^3')).toBe(406);
+      expect(await body('not-a-range')).toBe(406);
+    });
+
+    it('支持厂商媒体类型 application/vnd.xxx.vN+json', async () => {
+      const res = await request('/items', { accept: 'application/vnd.acme.v1+json' });
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ v: 1 }));
+    });
+
+    it('没有满足的版本时 406', async () => {
+      const res = await request('/items', { 'accept-version': '3.0.0' });
+      expect(res.writeStatus).toHaveBeenCalledWith('406');
+      expect(res.writeHeader).toHaveBeenCalledWith('Vary', 'Accept-Version, Accept');
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ success: false, message: 'Not Acceptable', code: 'NOT_ACCEPTABLE' }));
+    });
+
+    it('未带版本时优先用未版本化的处理器，否则用上界最高的版本', async () => {
+      expect((await request('/items')).end).toHaveBeenCalledWith(JSON.stringify({ v: 2 }));
+      app.get('/items', ctx => ctx.json({ v: 'default' }));
+      expect((await request('/items')).end).toHaveBeenCalledWith(JSON.stringify({ v: 'default' }));
+      expect((await request('/items', { 'accept-version': '1' })).end).toHaveBeenCalledWith(JSON.stringify({ v: 1 }));
+
+      app.get('/late', { version: '3.x' }, ctx => ctx.json({ v: 3 }));
+      app.get('/late', { version: '1.x' }, ctx => ctx.json({ v: 1 }));
+      expect((await request('/late')).end).toHaveBeenCalledWith(JSON.stringify({ v: 3 }));
+      app.get('/open', { version: '1.x' }, ctx => ctx.json({ v: 1 }));
+      app.get('/open', { version: '>=2' }, ctx => ctx.json({ v: 'latest' }));
+      app.get('/open', { version: '2.x' }, ctx => ctx.json({ v: 2 }));
+      expect((await request('/open')).end).toHaveBeenCalledWith(JSON.stringify({ v: 'latest' }));
+    });
+
+    it('请求的版本无一满足时回落到未版本化的处理器，没有才 406', async () => {
+      app.get('/items', ctx => ctx.json({ v: 'default' }));
+      expect((await request('/items', { 'accept-version': '3.0.0' })).end).toHaveBeenCalledWith(JSON.stringify({ v: 'default' }));
+      expect((await request('/items', { 'accept-version': '^3' })).end).toHaveBeenCalledWith(JSON.stringify({ v: 'default' }));
+      app.get('/only', { version: '1.x' }, ctx => ctx.json({ v: 1 }));
+      expect((await request('/only', { 'accept-version': '3.0.0' })).writeStatus).toHaveBeenCalledWith('406');
+    });
+
+    it('版本化路由参与方法匹配(HEAD 回落、405 的 Allow)，同范围重复注册报冲突', async () => {
+      const res = await request('/items', {}, 'DELETE');
+      expect(res.writeStatus).toHaveBeenCalledWith('405');
+      expect(res.writeHeader).toHaveBeenCalledWith('Allow', 'GET, HEAD, OPTIONS');
+      expect(() => app.get('/items', { version: '2.x' }, ctx => ctx.json({}))).toThrow(/路由重复/);
+    });
+
+    it('removeRoute / replaceRoute 按版本操作，routes() 列出版本', async () => {
+      expect(app.routes().map(r => r.version)).toEqual(['1.x', '2.x']);
+      app.replaceRoute('GET', '/items', { version: '2.x' }, ctx => ctx.json({ v: 'two' }));
+      expect((await request('/items', { 'accept-version': '2.1' })).end).toHaveBeenCalledWith(JSON.stringify({ v: 'two' }));
+
+      expect(app.removeRoute('GET', '/items', { version: '1.x' })).toBe(true);
+      expect((await request('/items', { 'accept-version': '1' })).writeStatus).toHaveBeenCalledWith('406');
+      expect(app.removeRoute('GET', '/items', { version: '2.x' })).toBe(true);
+      expect((await request('/items')).writeStatus).toHaveBeenCalledWith('404');
+    });
+
+    it('支持 ^ ~ 比较符与 || 组合的范围', async () => {
+      app.get('/r', { version: '^1.2.0' }, ctx => ctx.json({ r: 'caret' }));
+      app.get('/r', { version: '~2.3 || >=4 <5' }, ctx => ctx.json({ r: 'mixed' }));
+      const pick = async (v) => JSON.parse((await request('/r', { 'accept-version': v })).end.mock.calls[0][0]);
+      expect((await pick('1.9.0')).r).toBe('caret');
+      expect((await pick('2.3.7')).r).toBe('mixed');
+      expect((await pick('4.1')).r).toBe('mixed');
+      expect((await pick('1.1.0')).code).toBe('NOT_ACCEPTABLE');
+      expect((await pick('2.4.0')).code).toBe('NOT_ACCEPTABLE');
+      expect(() => app.get('/bad', { version: 'abc' }, ctx => ctx.json({}))).toThrow('无效的版本范围');
+    });
+  });
+
+  describe('multipart/form-data 上传', () => {
+    const BOUNDARY = '----uWebKoaBoundary7MA4YWxk';
+
+    // 拼出 multipart 请求体：parts 为 { name, value } 或 { name, filename, type, content }
+    const multipartBody = (parts) => Buffer.concat([
+      ...parts.map(p => Buffer.concat([
+        Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="${p.name}"` +
+          (p.filename !== undefined ? `; filename="${p.filename}"\r\nContent-Type: ${p.type || 'application/octet-stream'}` : '') +
+          '\r\n\r\n'),
+        Buffer.isBuffer(p.content) ? p.content : Buffer.from(p.content ?? p.value),
+        Buffer.from('\r\n'),
+      ])),
+      Buffer.from(`--${BOUNDARY}--\r\n`),
+    ]);
+
+    // 按固定大小切片喂给 onData，覆盖边界被截断的情况
+    const upload = async (body, chunkSize = 7, headers = {}) => {
+      const res = createMockRes();
+      res.onData = vi.fn(cb => {
+        for (let i = 0; i < body.length; i += chunkSize) {
+          cb(body.subarray(i, i + chunkSize), i + chunkSize >= body.length);
+        }
+      });
+      const req = createMockReq('POST', '/upload', { 'content-type': `multipart/form-data; boundary=${BOUNDARY}`, ...headers });
+      await app.handleRequest(res, req);
+      return res;
+    };
+
+    it('字段进 ctx.request.body，文件写入临时文件并进 ctx.request.files', async () => {
+      const fsMod = await import('fs');
+      let body, files, saved;
+      app.post('/upload', async ctx => {
+        body = await ctx.request.form();
+        files = ctx.request.files;
+        saved = fsMod.readFileSync(files.avatar.path);
+        ctx.json({ ok: true });
+      });
+      const binary = Buffer.from([0, 1, 2, 13, 10, 45, 45, 255, 254]);
+      const res = await upload(multipartBody([
+        { name: 'title', value: '你好 world' },
+        { name: 'tag', value: 'a' },
+        { name: 'tag', value: 'b' },
+        { name: 'avatar', filename: 'me.png', type: 'image/png', content: binary },
+        { name: 'empty', filename: '', content: '' },
+      ]));
+
+      expect(res.writeStatus).toHaveBeenCalledWith('200');
+      expect(body).toEqual({ title: '你好 world', tag: ['a', 'b'] });
+      expect(files.avatar).toMatchObject({ fieldName: 'avatar', originalName: 'me.png', mimetype: 'image/png', size: binary.length });
+      expect(saved.equals(binary)).toBe(true);
+      expect(files.empty).toBeUndefined();
+    });
+
+    it('响应结束后删除临时文件', async () => {
+      const fsMod = await import('fs');
+      let tmpPath;
+      app.post('/upload', async ctx => { await ctx.request.form(); tmpPath = ctx.request.files.doc.path; ctx.json({}); });
+      await upload(multipartBody([{ name: 'doc', filename: 'a.txt', content: 'x'.repeat(5000) }]), 1024);
+      expect(tmpPath).toBeTruthy();
+      await vi.waitFor(() => expect(fsMod.existsSync(tmpPath)).toBe(false));
+    });
+
+    it('单个文件超过 fileSize 时 413 FILE_TOO_LARGE', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      app = new uWebKoa({ disableDefaultErrorHandler: true, eagerBody: true, multipart: { fileSize: 100 } });
+      const handler = vi.fn();
+      app.post('/upload', handler);
+      const res = await upload(multipartBody([{ name: 'f', filename: 'big.bin', content: Buffer.alloc(500) }]), 64);
+      expect(res.writeStatus).toHaveBeenCalledWith('413');
+      expect(JSON.parse(res.end.mock.calls[0][0]).code).toBe('FILE_TOO_LARGE');
+      expect(handler).not.toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it('文件数量与请求体总大小受限', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      app = new uWebKoa({ disableDefaultErrorHandler: true, eagerBody: true, multipart: { files: 1, totalSize: 10_000 } });
+      app.post('/upload', ctx => ctx.json({}));
+      const tooMany = await upload(multipartBody([
+        { name: 'a', filename: 'a.txt', content: 'a' },
+        { name: 'b', filename: 'b.txt', content: 'b' },
+      ]));
+      expect(JSON.parse(tooMany.end.mock.calls[0][0]).code).toBe('TOO_MANY_FILES');
+
+      const tooBig = await upload(multipartBody([{ name: 'v', value: 'x'.repeat(20_000) }]), 4096);
+      expect(tooBig.writeStatus).toHaveBeenCalledWith('413');
+      expect(JSON.parse(tooBig.end.mock.calls[0][0]).code).toBe('PAYLOAD_TOO_LARGE');
+      errorSpy.mockRestore();
+    });
+
+    it('缺少 boundary 或请求体不完整时 400', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      app.post('/upload', async ctx => { await ctx.request.form(); ctx.json({}); });
+      const res = createMockRes();
+      await app.handleRequest(res, createMockReq('POST', '/upload', { 'content-type': 'multipart/form-data' }));
+      expect(res.writeStatus).toHaveBeenCalledWith('400');
+
+      const truncated = multipartBody([{ name: 'a', value: '1' }]).subarray(0, 40);
+      const res2 = await upload(truncated);
+      expect(JSON.parse(res2.end.mock.calls[0][0]).code).toBe('INVALID_MULTIPART');
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('请求体大小限制', () => {
+    const post = async (url, body, headers = {}) => {
+      const res = createMockRes();
+      res.onData = vi.fn(cb => { cb(Buffer.from(body), true); });
+      await app.handleRequest(res, createMockReq('POST', url, headers));
+      return res;
+    };
+    let errorSpy;
+    beforeEach(() => { errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { }); });
+    afterEach(() => errorSpy.mockRestore());
+
+    it('bodyLimit 应用级上限支持 "1kb" 这类写法', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, eagerBody: true, bodyLimit: '1kb' });
+      app.post('/a', ctx => ctx.json({}));
+      expect((await post('/a', 'x'.repeat(1024))).writeStatus).toHaveBeenCalledWith('200');
+      const res = await post('/a', 'x'.repeat(1025));
+      expect(res.writeStatus).toHaveBeenCalledWith('413');
+      expect(JSON.parse(res.end.mock.calls[0][0]).code).toBe('PAYLOAD_TOO_LARGE');
+    });
+
+    it('bodyLimits 按 Content-Type 设置上限(支持 type/* 通配)', async () => {
+      app = new uWebKoa({
+        disableDefaultErrorHandler: true,
+        eagerBody: true,
+        bodyLimits: { 'Application/JSON': 20, 'text/*': 5 },
+      });
+      app.post('/a', ctx => ctx.json({}));
+      const json = { 'content-type': 'application/json; charset=utf-8' };
+      expect((await post('/a', '{"a":"12345"}', json)).writeStatus).toHaveBeenCalledWith('200');
+      expect((await post('/a', '{"a":"1234567890123"}', json)).writeStatus).toHaveBeenCalledWith('413');
+      expect((await post('/a', 'abcdef', { 'content-type': 'text/csv' })).writeStatus).toHaveBeenCalledWith('413');
+      expect((await post('/a', 'abcdef', { 'content-type': 'application/octet-stream' })).writeStatus).toHaveBeenCalledWith('200');
+    });
+
+    it('路由选项 bodyLimit 优先于应用级与按类型的上限', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, eagerBody: true, bodyLimit: 10, bodyLimits: { 'text/plain': 10 } });
+      app.post('/upload', { bodyLimit: '1kb' }, ctx => ctx.json({}));
+      app.post('/login', { bodyLimit: 3 }, ctx => ctx.json({}));
+      const text = { 'content-type': 'text/plain' };
+      expect((await post('/upload', 'x'.repeat(500), text)).writeStatus).toHaveBeenCalledWith('200');
+      expect((await post('/login', 'abcd', text)).writeStatus).toHaveBeenCalledWith('413');
+      expect((await post('/other', 'x'.repeat(11), text)).writeStatus).toHaveBeenCalledWith('413');
+    });
+
+    it('Content-Length 超限时不读取数据直接 413', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, bodyLimit: 100 });
+      const after = vi.fn();
+      app.post('/a', async ctx => { await ctx.request.text(); after(); });
+      const res = createMockRes();
+      res.onData = vi.fn(); // 数据尚未到达
+      await app.handleRequest(res, createMockReq('POST', '/a', { 'content-length': '5000' }));
+      expect(res.writeStatus).toHaveBeenCalledWith('413');
+      expect(after).not.toHaveBeenCalled();
+    });
+
+    it('无效的大小配置在构造时抛错', () => {
+      expect(() => new uWebKoa({ bodyLimit: 'huge' })).toThrow('无效的大小');
+    });
+  });
+
+  describe('按需读取请求体', () => {
+    // 数据由测试手动推送的 res，带 pause/resume
+    const streamingRes = () => {
+      const res = createMockRes();
+      res.pause = vi.fn();
+      res.resume = vi.fn();
+      res.onData = vi.fn(cb => { res.push = cb; });
+      return res;
+    };
+
+    it('默认不在中间件前读取：未读取就响应时暂停接收，剩余数据过多则关闭连接', async () => {
+      app.use(ctx => { ctx.status = 401; ctx.body = { error: 'unauthorized' }; });
+      const res = streamingRes();
+      await app.handleRequest(res, createMockReq('POST', '/upload', { 'content-length': String(100 * 1024 * 1024) }));
+      expect(res.pause).toHaveBeenCalled();
+      expect(res.writeStatus).toHaveBeenCalledWith('401');
+      expect(res.end.mock.calls[0][1]).toBe(true);
+    });
+
+    it('剩余数据不多时不关闭连接，响应结束前恢复接收以丢弃剩余数据', async () => {
+      app.use(ctx => { ctx.body = 'ok'; });
+      const res = streamingRes();
+      await app.handleRequest(res, createMockReq('POST', '/', { 'content-length': '10' }));
+      expect(res.end).toHaveBeenCalledWith('ok');
+      expect(res.resume).toHaveBeenCalledTimes(1);
+      expect(res.resume.mock.invocationCallOrder[0]).toBeLessThan(res.end.mock.invocationCallOrder[0]);
+    });
+
+    it('响应结束或请求中止后不再访问 res', async () => {
+      // 模拟 uWS：end / onAborted 之后调用 pause / resume 抛错
+      const strictRes = () => {
+        const res = streamingRes();
+        let closed = false;
+        const end = res.end;
+        res.end = vi.fn((...args) => { closed = true; return end(...args); });
+        res.onAborted = vi.fn(cb => { res.abort = () => { closed = true; cb(); }; });
+        const guard = () => { if (closed) throw new Error('Invalid access of closed uWS.HttpResponse'); };
+        res.pause = vi.fn(guard);
+        res.resume = vi.fn(guard);
+        return res;
+      };
+      app.post('/ok', ctx => { ctx.body = 'ok'; });
+      const res = strictRes();
+      await expect(app.handleRequest(res, createMockReq('POST', '/ok', { 'content-length': '10' }))).resolves.toBeUndefined();
+      expect(res.end).toHaveBeenCalledWith('ok');
+
+      let error;
+      app.post('/read', async ctx => {
+        try { await ctx.request.text(); } catch (err) { error = err; }
+      });
+      const aborted = strictRes();
+      const pending = app.handleRequest(aborted, createMockReq('POST', '/read', { 'content-length': '10' }));
+      await new Promise(r => setTimeout(r, 5));
+      aborted.abort();
+      await expect(pending).resolves.toBeUndefined();
+      expect(error.code).toBe('REQUEST_ABORTED');
+    });
+
+    it('读取前已到达的数据会暂存并回放，text/buffer 结果可重复获取', async () => {
+      let text, buf;
+      app.post('/api', async ctx => {
+        await new Promise(r => setTimeout(r, 5));
+        text = await ctx.request.text();
+        buf = await ctx.request.buffer();
+        ctx.body = 'ok';
+      });
+      await app.handleRequest(mockRes, createMockReq('POST', '/api', { 'content-type': 'application/json' }));
+      expect(text).toBe('{"test":"data"}');
+      expect(buf.toString()).toBe(text);
+    });
+
+    it('分片在读取开始后陆续到达', async () => {
+      let body;
+      app.post('/api', async ctx => { body = await ctx.request.json(); ctx.body = 'ok'; });
+      const res = streamingRes();
+      const pending = app.handleRequest(res, createMockReq('POST', '/api', { 'content-type': 'application/json' }));
+      res.push(Buffer.from('{"a":'), false);
+      await new Promise(r => setTimeout(r, 5));
+      expect(res.resume).toHaveBeenCalled();
+      res.push(Buffer.from('[1,2]}'), true);
+      await pending;
+      expect(body).toEqual({ a: [1, 2] });
+    });
+
+    it('json() 遇到格式错误返回 400 INVALID_JSON', async () => {
+      app.post('/api', async ctx => { await ctx.request.json(); ctx.body = 'ok'; });
+      const res = createMockRes();
+      res.onData = vi.fn(cb => cb(Buffer.from('{bad'), true));
+      await app.handleRequest(res, createMockReq('POST', '/api', { 'content-type': 'application/json' }));
+      expect(res.writeStatus).toHaveBeenCalledWith('400');
+      expect(JSON.parse(res.end.mock.calls[0][0]).code).toBe('INVALID_JSON');
+    });
+
+    it('GET 请求读取为空', async () => {
+      let text;
+      app.get('/', async ctx => { text = await ctx.request.text(); ctx.body = 'ok'; });
+      await app.handleRequest(createMockRes(), createMockReq('GET', '/'));
+      expect(text).toBe('');
+    });
+
+    it('eagerBody: true 时在中间件前解析好 ctx.request.body', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, eagerBody: true });
+      let body;
+      app.post('/api', ctx => { body = ctx.request.body; ctx.body = 'ok'; });
+      await app.handleRequest(createMockRes(), createMockReq('POST', '/api', { 'content-type': 'application/json' }));
+      expect(body).toEqual({ test: 'data' });
+    });
+  });
+
+  describe('流式读取请求体', () => {
+    const streamingRes = () => {
+      const res = createMockRes();
+      res.pause = vi.fn();
+      res.resume = vi.fn();
+      res.onData = vi.fn(cb => { res.push = cb; });
+      return res;
+    };
+    const tick = () => new Promise(r => setTimeout(r, 5));
+
+    it('for await 逐块读取 NDJSON', async () => {
+      const lines = [];
+      app.post('/ingest', async ctx => {
+        let rest = '';
+        for await (const chunk of ctx.request.stream()) {
+          const parts = (rest + chunk).split('\n');
+          rest = parts.pop();
+          for (const line of parts) lines.push(JSON.parse(line));
+        }
+        ctx.body = { count: lines.length };
+      });
+      const res = streamingRes();
+      const pending = app.handleRequest(res, createMockReq('POST', '/ingest', { 'content-type': 'application/x-ndjson' }));
+      res.push(Buffer.from('{"a":1}\n{"a"'), false);
+      await tick();
+      res.push(Buffer.from(':2}\n'), true);
+      await pending;
+      expect(lines).toEqual([{ a: 1 }, { a: 2 }]);
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ count: 2 }));
+    });
+
+    it('消费方未读取时暂停接收，读走后恢复', async () => {
+      let stream;
+      let release;
+      const gate = new Promise(r => { release = r; });
+      app.post('/proxy', async ctx => {
+        stream = ctx.request.stream();
+        await gate;
+        let size = 0;
+        for await (const chunk of stream) size += chunk.length;
+        ctx.body = { size };
+      });
+      const res = streamingRes();
+      const pending = app.handleRequest(res, createMockReq('POST', '/proxy'));
+      await tick();
+      res.resume.mockClear();
+      res.push(Buffer.alloc(64 * 1024), false);
+      expect(res.pause).toHaveBeenCalled();
+      release();
+      await tick();
+      expect(res.resume).toHaveBeenCalled();
+      res.push(Buffer.alloc(10), true);
+      await pending;
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ size: 64 * 1024 + 10 }));
+    });
+
+    it('超过请求体上限时流以 413 出错', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, bodyLimit: 8 });
+      app.post('/p', async ctx => {
+        for await (const chunk of ctx.request.stream()) void chunk;
+        ctx.body = 'ok';
+      });
+      const res = streamingRes();
+      const pending = app.handleRequest(res, createMockReq('POST', '/p'));
+      res.push(Buffer.from('12345'), false);
+      res.push(Buffer.from('67890'), true);
+      await pending;
+      expect(res.writeStatus).toHaveBeenCalledWith('413');
+    });
+
+    it('请求中止时流以 REQUEST_ABORTED 出错', async () => {
+      let error;
+      app.post('/p', async ctx => {
+        try {
+          for await (const chunk of ctx.request.stream()) void chunk;
+        } catch (err) {
+          error = err;
+        }
+      });
+      const res = streamingRes();
+      const pending = app.handleRequest(res, createMockReq('POST', '/p'));
+      res.push(Buffer.from('abc'), false);
+      await tick();
+      res.abortCb();
+      await pending;
+      expect(error.code).toBe('REQUEST_ABORTED');
+      expect(res.end).not.toHaveBeenCalled();
+    });
+
+    it('请求体只能被读取一次', async () => {
+      let error;
+      app.post('/p', async ctx => {
+        await ctx.request.text();
+        try {
+          for await (const chunk of ctx.request.stream()) void chunk;
+        } catch (err) {
+          error = err;
+        }
+        ctx.body = 'ok';
+      });
+      await app.handleRequest(createMockRes(), createMockReq('POST', '/p'));
+      expect(error.code).toBe('BODY_ALREADY_READ');
+    });
+  });
+
+  describe('原始请求体与签名校验', () => {
+    const PAYLOAD = '{"event":"push","id":1}';
+    const post = async (url, headers = {}, body = PAYLOAD) => {
+      const res = createMockRes();
+      res.onData = vi.fn(cb => cb(Buffer.from(body), true));
+      await app.handleRequest(res, createMockReq('POST', url, { 'content-type': 'application/json', ...headers }));
+      return res;
+    };
+    const sign = async (payload, secret = 'shh') => {
+      const { createHmac } = await import('crypto');
+      return createHmac('sha256', secret).update(payload).digest('hex');
+    };
+
+    it('rawBody: true 时保留原始 Buffer，同时解析 body', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, rawBody: true });
+      let raw, body;
+      app.post('/hook', async ctx => { body = await ctx.request.json(); raw = ctx.request.rawBody; ctx.body = 'ok'; });
+      await post('/hook');
+      expect(Buffer.isBuffer(raw)).toBe(true);
+      expect(raw.toString()).toBe(PAYLOAD);
+      expect(body).toEqual({ event: 'push', id: 1 });
+    });
+
+    it('路由选项 rawBody 覆盖应用级设置', async () => {
+      const seen = {};
+      app.post('/on', { rawBody: true }, async ctx => { await ctx.parseBody(); seen.on = ctx.request.rawBody; ctx.body = 'ok'; });
+      app.post('/off', async ctx => { await ctx.parseBody(); seen.off = ctx.request.rawBody; ctx.body = 'ok'; });
+      await post('/on');
+      await post('/off');
+      expect(seen.on.toString()).toBe(PAYLOAD);
+      expect(seen.off).toBeUndefined();
+    });
+
+    it('verifyHmac 校验 GitHub 风格签名', async () => {
+      let body;
+      app.post('/github', verifyHmac({ header: 'X-Hub-Signature-256', secret: 'shh', prefix: 'sha256=' }), async ctx => {
+        body = await ctx.request.json();
+        ctx.body = 'ok';
+      });
+      const ok = await post('/github', { 'x-hub-signature-256': 'sha256=' + await sign(PAYLOAD) });
+      expect(ok.writeStatus).toHaveBeenCalledWith('200');
+      expect(body).toEqual({ event: 'push', id: 1 });
+
+      const bad = await post('/github', { 'x-hub-signature-256': 'sha256=' + await sign(PAYLOAD, 'other') });
+      expect(bad.writeStatus).toHaveBeenCalledWith('401');
+      expect(JSON.parse(bad.end.mock.calls[0][0]).code).toBe('INVALID_SIGNATURE');
+
+      const missing = await post('/github');
+      expect(missing.writeStatus).toHaveBeenCalledWith('401');
+      const truncated = await post('/github', { 'x-hub-signature-256': 'sha256=abcd' });
+      expect(truncated.writeStatus).toHaveBeenCalledWith('401');
+    });
+
+    it('verifyHmac 支持自定义签名提取与签名内容(Stripe 风格)', async () => {
+      const tOf = ctx => /t=(\d+)/.exec(ctx.get('stripe-signature'))[1];
+      app.post('/stripe', verifyHmac({
+        header: 'stripe-signature',
+        secret: () => 'whsec',
+        signature: value => value.split(',').filter(p => p.startsWith('v1=')).map(p => p.slice(3)),
+        payload: (raw, ctx) => `${tOf(ctx)}.${raw}`,
+      }), ctx => { ctx.body = 'ok'; });
+      const sig = await sign(`1700000000.${PAYLOAD}`, 'whsec');
+      const res = await post('/stripe', { 'stripe-signature': `t=1700000000,v1=deadbeef,v1=${sig}` });
+      expect(res.writeStatus).toHaveBeenCalledWith('200');
+    });
+
+    it('verifyHmac 缺少 header 或 secret 时抛错', () => {
+      expect(() => verifyHmac({ secret: 'x' })).toThrow(TypeError);
+      expect(() => verifyHmac({ header: 'x-sig' })).toThrow(TypeError);
+    });
+  });
+
+  describe('严格 JSON 解析', () => {
+    const post = async (body, headers = {}) => {
+      const res = createMockRes();
+      res.onData = vi.fn(cb => cb(Buffer.from(body), true));
+      await app.handleRequest(res, createMockReq('POST', '/api', { 'content-type': 'application/json', ...headers }));
+      return res;
+    };
+
+    it('strictJson: true 时格式错误返回 400 INVALID_JSON，不进入处理器', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, eagerBody: true, strictJson: true });
+      const handler = vi.fn();
+      app.post('/api', handler);
+      const res = await post('{invalid:json}');
+      expect(res.writeStatus).toHaveBeenCalledWith('400');
+      expect(JSON.parse(res.end.mock.calls[0][0]).code).toBe('INVALID_JSON');
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('空请求体在 parseBody() 与 request.json() 中都解析为 {}', async () => {
+      for (const strictJson of [true, false]) {
+        app = new uWebKoa({ disableDefaultErrorHandler: true, strictJson, jsonTopLevel: 'object' });
+        const bodies = [];
+        app.post('/api', async ctx => { await ctx.parseBody(); bodies.push(ctx.request.body); ctx.body = 'ok'; });
+        app.post('/json', async ctx => { bodies.push(await ctx.request.json()); ctx.body = 'ok'; });
+        expect((await post('  ')).writeStatus).toHaveBeenCalledWith('200');
+        const res = createMockRes();
+        res.onData = vi.fn(cb => cb(Buffer.alloc(0), true));
+        await app.handleRequest(res, createMockReq('POST', '/json', { 'content-type': 'application/json' }));
+        expect(res.writeStatus).toHaveBeenCalledWith('200');
+        expect(bodies).toEqual([{}, {}]);
+      }
+    });
+
+    it("jsonTopLevel: 'object' 时顶层只接受对象或数组", async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, jsonTopLevel: 'object' });
+      const bodies = [];
+      app.post('/api', async ctx => { bodies.push(await ctx.request.json()); ctx.body = 'ok'; });
+      expect((await post('[1,2]')).writeStatus).toHaveBeenCalledWith('200');
+      expect((await post('{"a":1}')).writeStatus).toHaveBeenCalledWith('200');
+      const res = await post('"just a string"');
+      expect(res.writeStatus).toHaveBeenCalledWith('400');
+      expect(JSON.parse(res.end.mock.calls[0][0]).code).toBe('INVALID_JSON');
+      expect((await post('null')).writeStatus).toHaveBeenCalledWith('400');
+      expect(bodies).toEqual([[1, 2], { a: 1 }]);
+    });
+
+    it('去掉 __proto__ 与 constructor 键(含 \\u 转义写法)', async () => {
+      const bodies = [];
+      app.post('/api', async ctx => { bodies.push(await ctx.request.json()); ctx.body = 'ok'; });
+      await post('{"__proto__":{"polluted":1},"a":{"constructor":{"prototype":{"polluted":1}}},"b":1}');
+      await post('{"\\u005f_proto__":{"polluted":1},"c":"\\u4f60"}');
+      expect(bodies[0]).toEqual({ a: {}, b: 1 });
+      expect(Object.prototype.hasOwnProperty.call(bodies[0], '__proto__')).toBe(false);
+      expect(bodies[1]).toEqual({ c: '你' });
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('请求体解析器注册表', () => {
+    const post = async (body, contentType) => {
+      const res = createMockRes();
+      res.onData = vi.fn(cb => cb(Buffer.isBuffer(body) ? body : Buffer.from(body), true));
+      await app.handleRequest(res, createMockReq('POST', '/p', { 'content-type': contentType }));
+      return res;
+    };
+    let body;
+    beforeEach(() => {
+      body = undefined;
+      app.post('/p', async ctx => { await ctx.parseBody(); body = ctx.request.body; ctx.body = 'ok'; });
+    });
+
+    it('register 添加新类型的解析器，text() 按 charset 解码', async () => {
+      app.bodyParser.register('text/csv', (buf, ctx, { text }) => text().trim().split('\n').map(line => line.split(',')));
+      await post('a,b\n1,2\n', 'text/csv; charset=utf-8');
+      expect(body).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('+json 结构化后缀按 JSON 解析', async () => {
+      await post('{"op":"replace"}', 'application/merge-patch+json');
+      expect(body).toEqual({ op: 'replace' });
+      await post('{"data":[]}', 'application/vnd.api+json');
+      expect(body).toEqual({ data: [] });
+    });
+
+    it('支持通配与 RegExp 模式，后注册的优先于内置解析器', async () => {
+      app.bodyParser
+        .register('application/*', () => 'wildcard')
+        .register(/^application\/x-ndjson$/, (buf, ctx, { text }) => text().trim().split('\n').map(l => JSON.parse(l)))
+        .register('application/json', (buf, ctx, { type }) => ({ custom: type }));
+      await post('{"a":1}\n{"a":2}\n', 'application/x-ndjson');
+      expect(body).toEqual([{ a: 1 }, { a: 2 }]);
+      await post('{}', 'application/json');
+      expect(body).toEqual({ custom: 'application/json' });
+      await post('x', 'application/xml');
+      expect(body).toBe('wildcard');
+    });
+
+    it('解析器的 limit 生效，应用 bodyLimits 优先', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, bodyLimits: { 'application/x-big': '1kb' } });
+      app.post('/p', async ctx => { await ctx.parseBody(); ctx.body = 'ok'; });
+      app.bodyParser.register('text/csv', (buf) => buf, { limit: 4 });
+      app.bodyParser.register('application/x-big', (buf) => buf, { limit: 4 });
+      expect((await post('12345', 'text/csv')).writeStatus).toHaveBeenCalledWith('413');
+      expect((await post('12345', 'application/x-big')).writeStatus).toHaveBeenCalledWith('200');
+    });
+
+    it('解析器抛出普通错误时返回 400 INVALID_BODY', async () => {
+      app.bodyParser.register('application/xml', () => { throw new Error('bad xml'); });
+      const res = await post('<a', 'application/xml');
+      expect(res.writeStatus).toHaveBeenCalledWith('400');
+      expect(JSON.parse(res.end.mock.calls[0][0]).code).toBe('INVALID_BODY');
+    });
+
+    it('按 charset 解码文本，不支持的字符集返回 415', async () => {
+      await post(Buffer.from([0x63, 0x61, 0x66, 0xe9]), 'text/plain; charset=ISO-8859-1');
+      expect(body).toBe('café');
+      await post(Buffer.from('{"name":"你好"}', 'utf16le'), 'application/json; charset="utf-16le"');
+      expect(body).toEqual({ name: '你好' });
+      const res = await post('x', 'text/plain; charset=x-unknown');
+      expect(res.writeStatus).toHaveBeenCalledWith('415');
+      expect(JSON.parse(res.end.mock.calls[0][0]).code).toBe('UNSUPPORTED_CHARSET');
+    });
+
+    it('register 的解析器必须是函数', () => {
+      expect(() => app.bodyParser.register('text/csv', null)).toThrow(TypeError);
+    });
+  });
+
+  describe('请求体解压', () => {
+    let zlib;
+    beforeEach(async () => { zlib = await import('zlib'); });
+    const post = async (body, headers, chunkSize = 16) => {
+      const res = createMockRes();
+      res.onData = vi.fn(cb => {
+        for (let i = 0; i < body.length; i += chunkSize) cb(body.subarray(i, i + chunkSize), i + chunkSize >= body.length);
+      });
+      await app.handleRequest(res, createMockReq('POST', '/p', headers));
+      return res;
+    };
+
+    it('gzip / x-gzip / deflate / br 请求体解压后解析', async () => {
+      const bodies = [];
+      app.post('/p', async ctx => { bodies.push(await ctx.request.json()); ctx.body = 'ok'; });
+      const json = Buffer.from(JSON.stringify({ msg: '你好'.repeat(50) }));
+      const type = { 'content-type': 'application/json' };
+      await post(zlib.gzipSync(json), { ...type, 'content-encoding': 'gzip' });
+      await post(zlib.gzipSync(json), { ...type, 'content-encoding': 'x-gzip' });
+      await post(zlib.deflateSync(json), { ...type, 'content-encoding': 'Deflate' });
+      await post(zlib.brotliCompressSync(json), { ...type, 'content-encoding': 'br' });
+      await post(json, { ...type, 'content-encoding': 'identity' });
+      expect(bodies).toHaveLength(5);
+      for (const b of bodies) expect(b).toEqual({ msg: '你好'.repeat(50) });
+    });
+
+    it('stream() 同样返回解压后的数据', async () => {
+      let text = '';
+      app.post('/p', async ctx => {
+        for await (const chunk of ctx.request.stream()) text += chunk;
+        ctx.body = 'ok';
+      });
+      await post(zlib.gzipSync('line\n'.repeat(100)), { 'content-encoding': 'gzip' });
+      expect(text).toBe('line\n'.repeat(100));
+    });
+
+    it('上限按解压后的大小计算(防解压炸弹)', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, bodyLimit: '64kb' });
+      app.post('/p', async ctx => { await ctx.request.buffer(); ctx.body = 'ok'; });
+      const bomb = zlib.gzipSync(Buffer.alloc(4 * 1024 * 1024));
+      expect(bomb.length).toBeLessThan(64 * 1024);
+      const res = await post(bomb, { 'content-encoding': 'gzip' }, 1024);
+      expect(res.writeStatus).toHaveBeenCalledWith('413');
+      expect(JSON.parse(res.end.mock.calls[0][0]).code).toBe('PAYLOAD_TOO_LARGE');
+    });
+
+    it('不支持的编码返回 415，损坏的数据返回 400', async () => {
+      app.post('/p', async ctx => { await ctx.request.text(); ctx.body = 'ok'; });
+      const unsupported = await post(Buffer.from('x'), { 'content-encoding': 'compress' });
+      expect(unsupported.writeStatus).toHaveBeenCalledWith('415');
+      expect(JSON.parse(unsupported.end.mock.calls[0][0]).code).toBe('UNSUPPORTED_ENCODING');
+      const corrupt = await post(Buffer.from('definitely not gzip'), { 'content-encoding': 'gzip' });
+      expect(corrupt.writeStatus).toHaveBeenCalledWith('400');
+      expect(JSON.parse(corrupt.end.mock.calls[0][0]).code).toBe('INVALID_ENCODING');
+    });
+  });
+
+  describe('查询串与表单解析', () => {
+    const queryOf = (a, qs) => a.createContext(createMockRes(), createMockReq('GET', '/', {}, qs)).request.query;
+
+    it("默认 'simple'：同名键收集为数组，+ 解码为空格", () => {
+      expect(queryOf(app, 'tag=a&tag=b&q=hello+world&x=%E4%BD%A0&bad=%E4%&flag')).toEqual({
+        tag: ['a', 'b'], q: 'hello world', x: '你', bad: '%E4%', flag: '',
+      });
+      expect(queryOf(app, 'filter[status]=open')).toEqual({ 'filter[status]': 'open' });
+    });
+
+    it("'extended' 支持方括号嵌套与数组", () => {
+      const a = new uWebKoa({ disableDefaultErrorHandler: true, queryParser: 'extended' });
+      expect(queryOf(a, 'filter[status]=open&filter[tags][]=x&filter[tags][]=y&ids[]=1&ids[]=2&list[1]=b&list[0]=a&q=1')).toEqual({
+        filter: { status: 'open', tags: ['x', 'y'] },
+        ids: ['1', '2'],
+        list: ['a', 'b'],
+        q: '1',
+      });
+      expect(queryOf(a, 'users[0][name]=tom&users[1][name]=amy')).toEqual({ users: [{ name: 'tom' }, { name: 'amy' }] });
+    });
+
+    it('限制参数个数、嵌套深度与数组下标', () => {
+      const a = new uWebKoa({ disableDefaultErrorHandler: true, queryParser: 'extended', queryLimits: { parameters: 2, depth: 2, arrayLimit: 5 } });
+      expect(queryOf(a, 'a=1&b=2&c=3')).toEqual({ a: '1', b: '2' });
+      expect(queryOf(a, 'x[a][b][c][d]=1')).toEqual({ x: { a: { b: { '[c][d]': '1' } } } });
+      expect(queryOf(a, 'big[100]=x')).toEqual({ big: { 100: 'x' } });
+      expect(a.options.queryLimits.depth).toBe(2);
+    });
+
+    it('忽略 __proto__ / constructor / prototype 键', () => {
+      const a = new uWebKoa({ disableDefaultErrorHandler: true, queryParser: 'extended' });
+      const q = queryOf(a, '__proto__[polluted]=1&a[constructor][prototype][polluted]=1&constructor=x&ok=1');
+      expect(q).toEqual({ ok: '1' });
+      expect({}.polluted).toBeUndefined();
+    });
+
+    it('queryParser 可传自定义函数，urlencoded 表单使用同一解析器', async () => {
+      const custom = vi.fn(str => ({ raw: str }));
+      const a = new uWebKoa({ disableDefaultErrorHandler: true, queryParser: custom });
+      expect(queryOf(a, 'a=1')).toEqual({ raw: 'a=1' });
+
+      const b = new uWebKoa({ disableDefaultErrorHandler: true, queryParser: 'extended' });
+      let body;
+      b.post('/form', async ctx => { body = await ctx.request.form(); ctx.body = 'ok'; });
+      const res = createMockRes();
+      res.onData = vi.fn(cb => cb(Buffer.from('user[name]=tom+lee&roles[]=a&roles[]=b'), true));
+      await b.handleRequest(res, createMockReq('POST', '/form', { 'content-type': 'application/x-www-form-urlencoded' }));
+      expect(body).toEqual({ user: { name: 'tom lee' }, roles: ['a', 'b'] });
+    });
+
+    it('无效的 queryParser 在构造时抛错', () => {
+      expect(() => new uWebKoa({ queryParser: 'qs' })).toThrow(TypeError);
+    });
+  });
+
+  describe('Expect: 100-continue', () => {
+    const continueRes = () => {
+      const res = createMockRes();
+      res.writeContinue = vi.fn();
+      return res;
+    };
+    const upload = (res, headers = {}) => app.handleRequest(res, createMockReq('POST', '/upload', {
+      'content-type': 'application/json', expect: '100-continue', 'content-length': '15', ...headers,
+    }));
+
+    it('首次读取请求体时发送 100 Continue', async () => {
+      let body;
+      const order = [];
+      app.post('/upload', async ctx => { order.push('handler'); body = await ctx.request.json(); ctx.body = 'ok'; });
+      const res = continueRes();
+      res.writeContinue.mockImplementation(() => order.push('continue'));
+      await upload(res);
+      expect(order).toEqual(['handler', 'continue']);
+      expect(body).toEqual({ test: 'data' });
+    });
+
+    it('中间件未读取请求体就拒绝时不发送 100 Continue', async () => {
+      app.use(ctx => { ctx.status = 401; ctx.body = { error: 'unauthorized' }; });
+      const res = continueRes();
+      await upload(res);
+      expect(res.writeStatus).toHaveBeenCalledWith('401');
+      expect(res.writeContinue).not.toHaveBeenCalled();
+    });
+
+    it('Content-Length 超过上限时直接 413', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, bodyLimit: 10 });
+      const handler = vi.fn();
+      app.post('/upload', handler);
+      const res = continueRes();
+      await upload(res, { 'content-length': '1000' });
+      expect(res.writeStatus).toHaveBeenCalledWith('413');
+      expect(handler).not.toHaveBeenCalled();
+      expect(res.writeContinue).not.toHaveBeenCalled();
+    });
+
+    it('不支持的 Expect 值返回 417', async () => {
+      app.post('/upload', ctx => { ctx.body = 'ok'; });
+      const res = continueRes();
+      await upload(res, { expect: 'something-else' });
+      expect(res.writeStatus).toHaveBeenCalledWith('417');
+      expect(JSON.parse(res.end.mock.calls[0][0]).code).toBe('EXPECTATION_FAILED');
+    });
+
+    it('checkContinue 返回 false 时 417，抛出的错误照常响应', async () => {
+      app = new uWebKoa({
+        disableDefaultErrorHandler: true,
+        checkContinue: ctx => {
+          if (!ctx.get('authorization')) ctx.throw(401, '未登录');
+          return ctx.get('x-quota') !== 'exceeded';
+        },
+      });
+      const handler = vi.fn(ctx => { ctx.body = 'ok'; });
+      app.post('/upload', handler);
+
+      const anonymous = continueRes();
+      await upload(anonymous);
+      expect(anonymous.writeStatus).toHaveBeenCalledWith('401');
+
+      const exceeded = continueRes();
+      await upload(exceeded, { authorization: 'Bearer t', 'x-quota': 'exceeded' });
+      expect(exceeded.writeStatus).toHaveBeenCalledWith('417');
+
+      const ok = continueRes();
+      await upload(ok, { authorization: 'Bearer t' });
+      expect(ok.writeStatus).toHaveBeenCalledWith('200');
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('未发送 100 Continue 就拒绝时关闭连接，不再等待请求体', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, checkContinue: () => false });
+      app.post('/upload', ctx => { ctx.body = 'ok'; });
+      const res = continueRes();
+      res.onData = vi.fn(); // 客户端在等 100 Continue，不会发送请求体
+      res.resume = vi.fn();
+      await upload(res, { 'content-length': '5000' });
+      expect(res.writeStatus).toHaveBeenCalledWith('417');
+      expect(res.end.mock.calls[0][1]).toBe(true);
+      expect(res.resume).not.toHaveBeenCalled();
+
+      // 中间件拒绝(如鉴权失败)同样关闭
+      app = new uWebKoa({ disableDefaultErrorHandler: true });
+      app.use(ctx => ctx.throw(401, '未登录'));
+      const denied = continueRes();
+      denied.onData = vi.fn();
+      await upload(denied, { 'content-length': '10' });
+      expect(denied.writeStatus).toHaveBeenCalledWith('401');
+      expect(denied.end.mock.calls[0][1]).toBe(true);
+    });
+
+    it('eagerBody 模式在中间件前发送 100 Continue', async () => {
+      app = new uWebKoa({ disableDefaultErrorHandler: true, eagerBody: true });
+      let body;
+      app.post('/upload', ctx => { body = ctx.request.body; ctx.body = 'ok'; });
+      const res = continueRes();
+      await upload(res);
+      expect(res.writeContinue).toHaveBeenCalledTimes(1);
+      expect(body).toEqual({ test: 'data' });
+    });
+  });
+
+  describe('流式响应体', () => {
+    // 记录 write/tryEnd 数据的 res；backpressure 为 true 时第一次写入制造一次背压
+    const streamRes = ({ backpressure = false } = {}) => {
+      const res = createMockRes();
+      res.received = [];
+      let confirmed = 0;
+      let pressured = !backpressure;
+      res.onWritable = vi.fn(cb => { queueMicrotask(() => cb(confirmed)); });
+      res.write = vi.fn(chunk => {
+        res.received.push(Buffer.from(chunk));
+        if (!pressured) { pressured = true; return false; }
+        return true;
+      });
+      res.tryEnd = vi.fn((chunk, total) => {
+        if (!pressured) { pressured = true; return [false, false]; }
+        res.received.push(Buffer.from(chunk));
+        confirmed += chunk.length;
+        return [true, confirmed >= total];
+      });
+      res.close = vi.fn();
+      return res;
+    };
+    const body = res => Buffer.concat(res.received).toString();
+
+    it('Readable 未知长度时分块写出并结束', async () => {
+      const { Readable } = await import('stream');
+      const source = Readable.from(['hello ', Buffer.from('stream'), new Uint8Array([33])]);
+      app.get('/r', ctx => { ctx.body = source; });
+      const res = streamRes({ backpressure: true });
+      await app.handleRequest(res, createMockReq('GET', '/r'));
+      expect(res.writeStatus).toHaveBeenCalledWith('200');
+      expect(res.writeHeader).toHaveBeenCalledWith('Content-Type', 'application/octet-stream');
+      expect(res.onWritable).toHaveBeenCalled();
+      expect(body(res)).toBe('hello stream!');
+      expect(res.end).toHaveBeenCalledTimes(1);
+      expect(res.tryEnd).not.toHaveBeenCalled();
+    });
+
+    it('设置 Content-Length 时用 tryEnd 发送并处理背压', async () => {
+      app.get('/g', ctx => {
+        ctx.set('Content-Type', 'text/plain');
+        ctx.set('Content-Length', '10');
+        ctx.body = (async function* () { yield 'abcde'; yield 'fghij'; })();
+      });
+      const res = streamRes({ backpressure: true });
+      await app.handleRequest(res, createMockReq('GET', '/g'));
+      expect(body(res)).toBe('abcdefghij');
+      expect(res.tryEnd).toHaveBeenCalledWith(expect.anything(), 10);
+      expect(res.writeHeader).not.toHaveBeenCalledWith('Content-Length', '10');
+      expect(res.end).not.toHaveBeenCalled();
+    });
+
+    it('支持 Web ReadableStream 与同步生成器', async () => {
+      app.get('/web', ctx => {
+        ctx.body = new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('web '));
+            controller.enqueue(new TextEncoder().encode('stream'));
+            controller.close();
+          },
+        });
+      });
+      app.get('/gen', ctx => { ctx.body = (function* () { yield 'a'; yield 'b'; })(); });
+      const web = streamRes();
+      await app.handleRequest(web, createMockReq('GET', '/web'));
+      expect(body(web)).toBe('web stream');
+      const gen = streamRes();
+      await app.handleRequest(gen, createMockReq('GET', '/gen'));
+      expect(body(gen)).toBe('ab');
+    });
+
+    it('请求中止时销毁数据源', async () => {
+      const { Readable } = await import('stream');
+      const source = new Readable({ read() {} });
+      app.get('/r', ctx => { ctx.body = source; });
+      const res = streamRes();
+      const pending = app.handleRequest(res, createMockReq('GET', '/r'));
+      source.push('first');
+      await new Promise(r => setTimeout(r, 5));
+      res.abortCb();
+      await pending;
+      expect(source.destroyed).toBe(true);
+      expect(body(res)).toBe('first');
+      expect(res.end).not.toHaveBeenCalled();
+    });
+
+    it('数据源出错时断开连接', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      app.get('/e', ctx => {
+        ctx.body = (async function* () { yield 'partial'; throw new Error('boom'); })();
+      });
+      const res = streamRes();
+      await app.handleRequest(res, createMockReq('GET', '/e'));
+      expect(body(res)).toBe('partial');
+      expect(res.close).toHaveBeenCalled();
+      expect(res.end).not.toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it('HEAD 请求只回响应头并关闭数据源', async () => {
+      const { Readable } = await import('stream');
+      const source = Readable.from(['data']);
+      app.get('/r', ctx => { ctx.set('Content-Length', '4'); ctx.body = source; });
+      const res = streamRes();
+      await app.handleRequest(res, createMockReq('HEAD', '/r'));
+      expect(res.endWithoutBody).toHaveBeenCalledWith(4);
+      expect(source.destroyed).toBe(true);
+      expect(res.received).toHaveLength(0);
+    });
+  });
+
   describe('默认 404', () => {
     it('未匹配任何路由时应返回 404', async () => {
       app.get('/exists', ctx => ctx.json({ ok: true }));
@@ -697,7 +2716,7 @@ describe('uWebKoa', () => {
 
   describe('请求体处理边界', () => {
     it('请求体超过 10MB 上限应返回 413', async () => {
-      app.post('/upload', ctx => ctx.json({ ok: true }));
+      app.post('/upload', async ctx => { await ctx.request.buffer(); ctx.json({ ok: true }); });
       const res = createMockRes();
       res.onData = vi.fn(cb => { cb(Buffer.alloc(10 * 1024 * 1024 + 16), true); });
       const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
@@ -708,7 +2727,7 @@ describe('uWebKoa', () => {
 
     it('应正确拼接多个数据分片', async () => {
       let body;
-      app.post('/api', ctx => { body = ctx.request.body; ctx.json({ ok: true }); });
+      app.post('/api', async ctx => { body = await ctx.request.json(); ctx.json({ ok: true }); });
       const res = createMockRes();
       res.onData = vi.fn(cb => {
         cb(Buffer.from('{"a":1,'), false);
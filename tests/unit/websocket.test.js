@@ -259,6 +259,97 @@ describe('WebSocket (app.ws)', () => {
     expect(seen.dropped.toString()).toBe('d');
   });
 
+  it('ws 路由与 HTTP 路由共用参数语法：约束、具名通配符与可选参数', async () => {
+    app.ws('/ws/:id(\\d+)/*rest', { open() { } });
+    app.ws('/live/:room?', { open() { } });
+    const mockApp = app.getUWebSocketApp();
+    app.applyToApp(mockApp);
+    expect(mockApp.ws.mock.calls.map(c => c[0])).toEqual(['/ws/:id/*', '/live', '/live/:room']);
+
+    const behavior = getBehavior(app, '/ws/:id/*');
+    const res = mockUpgradeRes();
+    await behavior.upgrade(res, mockUpgradeReq('/ws/42/a/b%20c', { 'sec-websocket-key': 'K' }), {});
+    expect(res.upgrade.mock.calls[0][0].carry.params).toEqual({ id: '42', rest: 'a/b c' });
+
+    // 不满足约束：uWS 已按 /ws/:id/* 分发过来，也要拒绝升级
+    const bad = mockUpgradeRes();
+    await behavior.upgrade(bad, mockUpgradeReq('/ws/abc/x', { 'sec-websocket-key': 'K' }), {});
+    expect(bad.upgrade).not.toHaveBeenCalled();
+    expect(bad.writeStatus).toHaveBeenCalledWith('404');
+
+    const live = mockUpgradeRes();
+    await getBehavior(app, '/live').upgrade(live, mockUpgradeReq('/live', { 'sec-websocket-key': 'K' }), {});
+    expect(live.upgrade.mock.calls[0][0].carry.params).toEqual({});
+  });
+
+  it('vhost 子应用的 ws 路由也会注册，按 Host 选择并校验', async () => {
+    const opened = [];
+    const site = new uWebKoa({ disableDefaultErrorHandler: true });
+    site.ws('/live', { open(ctx) { opened.push(['site', ctx.request.params]); } });
+    site.ws('/only', { open() { } });
+    app.ws('/live', { open() { opened.push(['main']); } });
+    app.vhost(':tenant.example.com', site);
+
+    const mockApp = app.getUWebSocketApp();
+    app.applyToApp(mockApp);
+    expect(mockApp.ws.mock.calls.map(c => c[0])).toEqual(['/live', '/only']);
+    const live = mockApp.ws.mock.calls[0][1];
+
+    const upgradeAndOpen = async (host) => {
+      const res = mockUpgradeRes();
+      await live.upgrade(res, mockUpgradeReq('/live', { host, 'sec-websocket-key': 'K' }), {});
+      live.open(mockWs({ ...res.upgrade.mock.calls[0][0] }));
+    };
+    await upgradeAndOpen('acme.example.com:443');
+    await upgradeAndOpen('localhost');
+    expect(opened).toEqual([['site', { tenant: 'acme' }], ['main']]);
+
+    const only = mockApp.ws.mock.calls[1][1];
+    const bad = mockUpgradeRes();
+    await only.upgrade(bad, mockUpgradeReq('/only', { host: 'localhost', 'sec-websocket-key': 'K' }), {});
+    expect(bad.upgrade).not.toHaveBeenCalled();
+    expect(bad.writeStatus).toHaveBeenCalledWith('404');
+  });
+
+  it('mount 的子应用 ws 路由带前缀注册，升级链先走外层 wsUse', async () => {
+    const order = [];
+    const sub = new uWebKoa({ disableDefaultErrorHandler: true });
+    sub.wsUse(async (ctx, next) => { order.push('sub'); await next(); });
+    sub.ws('/chat/:room', {
+      upgrade: async (ctx, next) => { order.push('route'); await next(); },
+      open() { }, message() { },
+    });
+    app.wsUse(async (ctx, next) => { order.push('outer'); await next(); });
+    app.mount('/admin', sub);
+
+    const behavior = getBehavior(app, '/admin/chat/:room');
+    expect(behavior).not.toBeNull();
+    const res = mockUpgradeRes();
+    await behavior.upgrade(res, mockUpgradeReq('/admin/chat/ops', { 'sec-websocket-key': 'K' }), {});
+
+    expect(order).toEqual(['outer', 'sub', 'route']);
+    expect(res.upgrade.mock.calls[0][0].carry.params).toEqual({ room: 'ops' });
+  });
+
+  it('app.group 内的 ws 路由带前缀注册，组中间件前置到 upgrade 链', async () => {
+    const order = [];
+    app.wsUse(async (ctx, next) => { order.push('global'); await next(); });
+    app.group('/admin', [async (ctx, next) => { order.push('auth'); await next(); }], (r) => {
+      r.ws('/live', {
+        upgrade: async (ctx, next) => { order.push('route'); await next(); },
+        open() { }, message() { },
+      });
+      r.ws('/locked', { open() { } });
+    });
+
+    const behavior = getBehavior(app, '/admin/live');
+    const res = mockUpgradeRes();
+    await behavior.upgrade(res, mockUpgradeReq('/admin/live', { 'sec-websocket-key': 'K' }), {});
+    expect(order).toEqual(['global', 'auth', 'route']);
+    expect(res.upgrade).toHaveBeenCalled();
+    expect(app.routes().find(r => r.pattern === '/admin/locked').middlewareCount).toBe(2);
+  });
+
   it('SendStatus 常量可用且被冻结', () => {
     expect(uWebKoa.SendStatus).toEqual({ BACKPRESSURE: 0, SUCCESS: 1, DROPPED: 2 });
     expect(Object.isFrozen(uWebKoa.SendStatus)).toBe(true);
@@ -13,6 +13,14 @@ export interface UWebKoaOptions {
     ssl?: { key_file_name?: string; cert_file_name?: string; passphrase?: string } | null;
     /** 关闭内置默认错误处理中间件 */
     disableDefaultErrorHandler?: boolean;
+    /** 重复/歧义路由注册时抛错(默认 true)；false 时仅警告 */
+    strictRoutes?: boolean;
+    /** 结尾斜杠是否有意义(默认 false：/users/ 与 /users 匹配同一路由) */
+    strict?: boolean;
+    /** 路由静态段是否区分大小写(默认 true) */
+    caseSensitive?: boolean;
+    /** 结尾斜杠与注册形式不一致时跳转到规范 URL(GET/HEAD 301，其它 308；默认 false) */
+    redirectTrailingSlash?: boolean;
     /** 超时配置(毫秒) */
     timeout?: {
         /** 请求总超时，默认 30000 */
@@ -20,9 +28,60 @@ export interface UWebKoaOptions {
         /** 中间件链超时，默认 0=关闭 */
         middleware?: number;
     };
+    /** 请求体上限：字节数或 '1mb' / '100kb' 这类字符串，默认 10MB */
+    bodyLimit?: number | string;
+    /** 按 Content-Type 的请求体上限(支持 'text/*')，如 { 'application/json': '1mb' } */
+    bodyLimits?: Record<string, number | string>;
+    /** 在中间件前自动 parseBody(旧行为)，默认 false：由中间件按需读取 */
+    eagerBody?: boolean;
+    /** parseBody 遇到格式错误的 JSON 时返回 400 INVALID_JSON，默认 false(保留原始字符串) */
+    strictJson?: boolean;
+    /** 'object' 时 JSON 顶层只接受对象或数组，默认 'any' */
+    jsonTopLevel?: 'any' | 'object';
+    /** 查询串与 urlencoded 表单的解析方式，默认 'simple'(同名键为数组)；'extended' 另支持方括号嵌套 */
+    queryParser?: 'simple' | 'extended' | false | ((str: string) => Record<string, any>);
+    /** 查询串 / 表单解析限制 */
+    queryLimits?: {
+        /** 参数个数上限，多余的忽略，默认 1000 */
+        parameters?: number;
+        /** 方括号嵌套深度上限，默认 5 */
+        depth?: number;
+        /** 数组下标上限，更大的下标按对象键处理，默认 20 */
+        arrayLimit?: number;
+    };
+    /** Expect: 100-continue 的预检；返回 false 回 417，抛出的错误(如 ctx.throw(401))照常响应 */
+    checkContinue?: ((ctx: Context) => boolean | void | Promise<boolean | void>) | null;
+    /** 读取请求体后保留原始 Buffer 到 ctx.request.rawBody，默认 false；路由选项可覆盖 */
+    rawBody?: boolean;
+    /** multipart/form-data 上传限制 */
+    multipart?: {
+        /** 单个文件上限(字节)，默认 10MB */
+        fileSize?: number;
+        /** 文件数量上限，默认 10 */
+        files?: number;
+        /** 单个普通字段上限(字节)，默认 1MB */
+        fieldSize?: number;
+        /** 普通字段数量上限，默认 100 */
+        fields?: number;
+        /** 整个请求体上限(字节)，默认 50MB */
+        totalSize?: number;
+        /** 临时文件目录，默认 os.tmpdir() */
+        uploadDir?: string;
+    };
     [key: string]: any;
 }
 
+/** multipart 上传的文件(临时文件在响应结束后删除) */
+export interface UploadedFile {
+    fieldName: string;
+    /** 客户端提供的原始文件名(已去掉路径) */
+    originalName: string;
+    /** 临时文件路径 */
+    path: string;
+    size: number;
+    mimetype: string;
+}
+
 /** Cookie 选项 */
 export interface CookieOptions {
     maxAge?: number;
@@ -43,13 +102,30 @@ export interface Cookies {
 
 export interface RequestObject {
     url: string;
+    /** 挂载子应用去掉前缀前的原始 URL */
+    originalUrl: string;
     /** 大写方法，如 'GET' */
     method: string;
     headers: Record<string, string>;
-    query: Record<string, string>;
+    /** 查询参数：同名键为数组；queryParser 为 'extended' 时可嵌套 */
+    query: Record<string, any>;
     queryString: string;
     params: Record<string, string>;
     body?: any;
+    /** 原始请求体(开启 rawBody 且请求体已读取后才有) */
+    rawBody?: Buffer;
+    /** multipart 上传的文件，按字段名；同名多个时为数组 */
+    files?: Record<string, UploadedFile | UploadedFile[]>;
+    /** 读取原始请求体 */
+    buffer(): Promise<Buffer>;
+    /** 以可读流逐块读取请求体(支持 for await)；与其它读取方法互斥 */
+    stream(): import('stream').Readable;
+    /** 读取请求体文本(UTF-8) */
+    text(): Promise<string>;
+    /** 解析 JSON 请求体(格式错误抛出 400 INVALID_JSON，空请求体为 {})，同时写入 body */
+    json<T = any>(): Promise<T>;
+    /** 解析 urlencoded / multipart 表单，同时写入 body(文件写入 files) */
+    form(): Promise<Record<string, any>>;
 }
 
 export interface ResponseObject {
@@ -71,11 +147,26 @@ export interface Context {
     options: UWebKoaOptions;
 
     readonly url: string;
+    /** 挂载子应用去掉前缀前的原始 URL */
+    readonly originalUrl: string;
     readonly method: string;
     readonly headers: Record<string, string>;
+    /** 路径参数(同 ctx.request.params)，含 Host 路由捕获的主机参数 */
+    readonly params: Record<string, string>;
+    /** 命中路由的模式，如 '/users/:id'；未命中为 null */
+    readonly routePath: string | null;
+    /** 命中路由的名字 */
+    readonly routeName: string | null;
+    /** 命中路由的元数据(未命中为 {}) */
+    readonly routeMeta: Record<string, any>;
+    /** Host 请求头(含端口) */
+    readonly host: string;
+    /** 去掉端口的主机名 */
+    readonly hostname: string;
     /** 客户端 IP(socket 地址) */
     readonly ip: string;
     readonly cookies: Cookies;
+    /** 响应体；可为 Node Readable、Web ReadableStream 或(异步)可迭代对象，此时流式发送 */
     body: any;
     status: number;
 
@@ -83,6 +174,8 @@ export interface Context {
     get(field: string): string | undefined;
     /** 设置响应头；值可为数组(多个同名头) */
     set(key: string, value: string | string[]): this;
+    /** 向 Vary 响应头追加字段(去重) */
+    vary(field: string | string[]): this;
     setStatus(code: number): this;
     setBody(data: any): this;
     /** 设置 JSON 响应体 */
@@ -98,13 +191,55 @@ export interface Context {
     throw(status: number, message?: string, properties?: object): never;
     assert(condition: any, status: number, message?: string, properties?: object): void;
     redirect(url: string, status?: number): this;
+    /** 按路由名重定向 */
+    redirect(name: string, params?: Record<string, any>, status?: number): this;
+    /** 按路由名生成 URL(同 app.url) */
+    urlFor(name: string, params?: Record<string, any>, options?: UrlOptions): string;
 
     [key: string]: any;
 }
 
+/** 路由选项 */
+export interface RouteOptions {
+    /** 路由名(用于 app.url 反向生成 URL) */
+    name?: string;
+    /** Host 约束：':name' 捕获一段、'*' 匹配任意一段；也可传 RegExp(命名分组为参数) */
+    host?: string | RegExp;
+    /** 路由元数据(经 ctx.routeMeta 读取，如 { auth: 'admin', rateLimit: 10 }) */
+    meta?: Record<string, any>;
+    /** semver 范围(如 '2.x'、'^1.2'、'>=1 <3')；按 Accept-Version(可为版本或范围)或 vnd 媒体类型选择处理器 */
+    version?: string;
+    /** 该路由的请求体上限(字节数或 '1mb' 这类字符串)，优先于应用级上限 */
+    bodyLimit?: number | string;
+    /** 该路由是否保留原始请求体(ctx.request.rawBody)，优先于应用级 rawBody */
+    rawBody?: boolean;
+}
+
+/** app.routes() 的单条记录 */
+export interface RouteInfo {
+    /** 大写方法；all() 为 '*'，WebSocket 路由为 'WS' */
+    method: string;
+    pattern: string;
+    host: string | null;
+    name: string | null;
+    version: string | null;
+    /** 处理器/升级中间件数量 */
+    middlewareCount: number;
+    meta: Record<string, any>;
+}
+
+/** app.url / ctx.urlFor 选项 */
+export interface UrlOptions {
+    /** 查询参数；对象的数组值展开为重复的键 */
+    query?: Record<string, any> | string;
+}
+
 /** 中间件(HTTP 与 WS 升级通用) */
 export type Middleware = (ctx: Context, next: () => Promise<void>) => any | Promise<any>;
 
+/** 路径参数预加载器 */
+export type ParamMiddleware = (value: string, ctx: Context, next: () => Promise<void>) => any | Promise<any>;
+
 /** WebSocket 连接上下文 */
 export interface WsContext {
     type: 'ws';
@@ -114,7 +249,7 @@ export interface WsContext {
     request: {
         url: string;
         headers: Record<string, string>;
-        query: Record<string, string>;
+        query: Record<string, any>;
         params: Record<string, string>;
     };
     /** 发送消息，返回发送状态(见 SendStatus) */
@@ -171,6 +306,153 @@ export interface SendStatus {
     readonly DROPPED: 2;
 }
 
+export interface RouterOptions {
+    /** 路由前缀，如 '/api' */
+    prefix?: string;
+    /** Host 约束(子路由器未设时继承)，如 ':tenant.example.com' */
+    host?: string | RegExp;
+}
+
+/** router.routes() 返回的中间件(app.use 会把路由展开进基数树) */
+export type RoutesMiddleware = Middleware & { router: Router };
+
+/** 可挂载的路由器(类似 koa-router)，路由需在挂载前注册完 */
+export class Router {
+    constructor(options?: RouterOptions);
+    opts: RouterOptions;
+
+    prefix(prefix: string): this;
+    register(method: string, pattern: string, ...handlers: Middleware[]): this;
+    register(method: string, name: string, pattern: string, ...handlers: Middleware[]): this;
+    register(method: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    register(method: string, name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    get(pattern: string, ...handlers: Middleware[]): this;
+    get(name: string, pattern: string, ...handlers: Middleware[]): this;
+    get(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    get(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    post(pattern: string, ...handlers: Middleware[]): this;
+    post(name: string, pattern: string, ...handlers: Middleware[]): this;
+    post(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    post(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    put(pattern: string, ...handlers: Middleware[]): this;
+    put(name: string, pattern: string, ...handlers: Middleware[]): this;
+    put(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    put(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    patch(pattern: string, ...handlers: Middleware[]): this;
+    patch(name: string, pattern: string, ...handlers: Middleware[]): this;
+    patch(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    patch(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    delete(pattern: string, ...handlers: Middleware[]): this;
+    delete(name: string, pattern: string, ...handlers: Middleware[]): this;
+    delete(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    delete(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    head(pattern: string, ...handlers: Middleware[]): this;
+    head(name: string, pattern: string, ...handlers: Middleware[]): this;
+    head(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    head(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    options(pattern: string, ...handlers: Middleware[]): this;
+    options(name: string, pattern: string, ...handlers: Middleware[]): this;
+    options(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    options(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    all(pattern: string, ...handlers: Middleware[]): this;
+    all(name: string, pattern: string, ...handlers: Middleware[]): this;
+    all(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    all(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+
+    /** 作用域中间件 / 嵌套子路由器 */
+    use(...middlewares: Array<Middleware | Router | RoutesMiddleware>): this;
+    use(prefix: string, ...routers: Array<Router | RoutesMiddleware>): this;
+    /** 参数预加载器(只作用于本路由器及子路由器中含该参数的路由) */
+    param(name: string, fn: ParamMiddleware): this;
+    /** 交给 app.use() 挂载 */
+    routes(): RoutesMiddleware;
+    /** 展开后的扁平路由表 */
+    flatten(): Array<{ method: string; pattern: string; handlers: Middleware[]; scope: Middleware[]; options: RouteOptions }>;
+}
+
+/** app.group() 回调收到的注册器：组中间件前置到组内每个路由(ws 路由前置到 upgrade 链) */
+export interface RouteGroup {
+    app: uWebKoa;
+    register(method: string, pattern: string, ...handlers: Middleware[]): this;
+    register(method: string, name: string, pattern: string, ...handlers: Middleware[]): this;
+    register(method: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    register(method: string, name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    get(pattern: string, ...handlers: Middleware[]): this;
+    get(name: string, pattern: string, ...handlers: Middleware[]): this;
+    get(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    get(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    post(pattern: string, ...handlers: Middleware[]): this;
+    post(name: string, pattern: string, ...handlers: Middleware[]): this;
+    post(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    post(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    put(pattern: string, ...handlers: Middleware[]): this;
+    put(name: string, pattern: string, ...handlers: Middleware[]): this;
+    put(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    put(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    patch(pattern: string, ...handlers: Middleware[]): this;
+    patch(name: string, pattern: string, ...handlers: Middleware[]): this;
+    patch(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    patch(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    delete(pattern: string, ...handlers: Middleware[]): this;
+    delete(name: string, pattern: string, ...handlers: Middleware[]): this;
+    delete(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    delete(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    head(pattern: string, ...handlers: Middleware[]): this;
+    head(name: string, pattern: string, ...handlers: Middleware[]): this;
+    head(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    head(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    options(pattern: string, ...handlers: Middleware[]): this;
+    options(name: string, pattern: string, ...handlers: Middleware[]): this;
+    options(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    options(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    all(pattern: string, ...handlers: Middleware[]): this;
+    all(name: string, pattern: string, ...handlers: Middleware[]): this;
+    all(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    all(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    ws(pattern: string, handlers?: WsHandlers): this;
+    /** 嵌套分组 */
+    group(prefix: string, middlewares: Middleware | Middleware[], fn: (group: RouteGroup) => void): this;
+    group(prefix: string, fn: (group: RouteGroup) => void): this;
+}
+
+/** 请求体解析器：buffer 为原始请求体，text() 按 Content-Type 的 charset 解码 */
+export type BodyParserFn = (
+    buffer: Buffer,
+    ctx: Context,
+    info: { type: string; charset: string | null; text(): string }
+) => any;
+
+/** app.bodyParser：按 Content-Type 选择解析器，后注册的优先 */
+export interface BodyParserRegistry {
+    /**
+     * 注册解析器
+     * @param pattern 'text/csv'、'application/*'、'+xml'(任意 +xml 后缀) 或 RegExp
+     * @param options.limit 该类型的请求体上限
+     */
+    register(pattern: string | RegExp, parser: BodyParserFn, options?: { limit?: number | string }): this;
+}
+
+/** verifyHmac 选项 */
+export interface VerifyHmacOptions {
+    /** 签名所在请求头，如 'x-hub-signature-256' */
+    header: string;
+    /** 密钥，或按请求返回密钥(多租户) */
+    secret: string | Buffer | ((ctx: Context) => string | Buffer | Promise<string | Buffer>);
+    /** HMAC 算法，默认 'sha256' */
+    algorithm?: string;
+    /** 签名编码，默认 'hex' */
+    encoding?: 'hex' | 'base64' | 'base64url';
+    /** 签名前缀，如 GitHub 的 'sha256=' */
+    prefix?: string;
+    /** 从请求头取出签名(可返回多个，任一匹配即通过) */
+    signature?: (headerValue: string, ctx: Context) => string | string[] | null | undefined;
+    /** 参与签名的内容，默认原始请求体 */
+    payload?: (rawBody: Buffer, ctx: Context) => string | Buffer;
+}
+
+/** HMAC 签名校验中间件，签名不符时抛出 401 INVALID_SIGNATURE */
+export function verifyHmac(options: VerifyHmacOptions): Middleware;
+
 export default class uWebKoa {
     constructor(options?: UWebKoaOptions);
 
@@ -178,24 +460,83 @@ export default class uWebKoa {
     /** 全局上下文，会浅合并到每个请求的 ctx(如 ctx.io、ctx.db) */
     context: Record<string, any>;
     options: UWebKoaOptions;
+    /** 请求体解析器注册表 */
+    bodyParser: BodyParserRegistry;
 
     static readonly SendStatus: SendStatus;
 
-    /** 注册中间件 */
-    use(middleware: Middleware): this;
+    /** 注册中间件；传入 router.routes() 时把路由登记进基数树 */
+    use(middleware: Middleware | Router | RoutesMiddleware): this;
 
     /** 注册路由 */
     get(pattern: string, ...handlers: Middleware[]): this;
+    get(name: string, pattern: string, ...handlers: Middleware[]): this;
+    get(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    get(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
     post(pattern: string, ...handlers: Middleware[]): this;
+    post(name: string, pattern: string, ...handlers: Middleware[]): this;
+    post(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    post(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
     put(pattern: string, ...handlers: Middleware[]): this;
+    put(name: string, pattern: string, ...handlers: Middleware[]): this;
+    put(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    put(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
     delete(pattern: string, ...handlers: Middleware[]): this;
+    delete(name: string, pattern: string, ...handlers: Middleware[]): this;
+    delete(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    delete(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    patch(pattern: string, ...handlers: Middleware[]): this;
+    patch(name: string, pattern: string, ...handlers: Middleware[]): this;
+    patch(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    patch(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    /** 未注册时 GET 路由自动响应 HEAD(只回响应头) */
+    head(pattern: string, ...handlers: Middleware[]): this;
+    head(name: string, pattern: string, ...handlers: Middleware[]): this;
+    head(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    head(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    /** 按任意方法注册路由(app.options 是配置对象，OPTIONS 路由用 register('OPTIONS', ...)) */
+    register(method: string, pattern: string, ...handlers: Middleware[]): this;
+    register(method: string, name: string, pattern: string, ...handlers: Middleware[]): this;
+    register(method: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    register(method: string, name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    /** 响应任意方法 */
+    all(pattern: string, ...handlers: Middleware[]): this;
+    all(name: string, pattern: string, ...handlers: Middleware[]): this;
+    all(pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+    all(name: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+
+    /** 虚拟主机：按 Host 把请求整个交给子应用处理(含其 ws 路由) */
+    vhost(hostPattern: string | RegExp, subApp: uWebKoa): this;
+    /** 把子应用挂载到路径前缀下；子应用的 ctx.url 去掉前缀，ws() 路由带前缀注册 */
+    mount(prefix: string, subApp: uWebKoa): this;
+
+    /** 全部已注册路由(HTTP 与 WebSocket) */
+    routes(): RouteInfo[];
+    /** 树形文本形式的路由表(Host 路由树列在 host 标题下) */
+    printRoutes(): string;
+
+    /** 路由分组：组中间件前置到组内每个路由的处理器数组(ws 路由前置到 upgrade 链) */
+    group(prefix: string, middlewares: Middleware | Middleware[], fn: (group: RouteGroup) => void): this;
+    group(prefix: string, fn: (group: RouteGroup) => void): this;
+
+    /** 运行时删除路由；处理中的请求在旧处理器链上执行完。返回是否删除了路由 */
+    removeRoute(method: string, pattern: string, options?: { host?: string | RegExp; version?: string }): boolean;
+    /** 运行时替换路由处理器链；未传 options 时沿用原路由的 name / meta / host。路由不存在时抛错 */
+    replaceRoute(method: string, pattern: string, ...handlers: Middleware[]): this;
+    replaceRoute(method: string, pattern: string, options: RouteOptions, ...handlers: Middleware[]): this;
+
+    /** 参数预加载器：命中含该参数的路由时先于路由处理器执行 */
+    param(name: string, fn: ParamMiddleware): this;
+
+    /** 按路由名反向生成 URL；缺少必填参数时抛错 */
+    url(name: string, params?: Record<string, any>, options?: UrlOptions): string;
 
     /** 返回一个执行路由匹配的中间件(向后兼容) */
     route(method: string, pattern: string, ...handlers: Middleware[]): Middleware;
     /** 判断 url 是否匹配 pattern */
     matchPattern(url: string, pattern: string): boolean;
 
-    /** 注册 WebSocket 路由 */
+    /** 注册 WebSocket 路由(模式语法与 HTTP 路由相同) */
     ws(pattern: string, handlers?: WsHandlers): this;
     /** 注册全局 WS 升级中间件 */
     wsUse(middleware: Middleware): this;